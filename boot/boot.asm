@@ -25,16 +25,17 @@ _start:
     mov edx, 0
     wrmsr
 
-    ; Enable Paging in CR0
-    mov eax, cr0
-    or eax, 0x80000001 ; PE=1, PG=1
-    mov cr0, eax
-    
-    ; Enable PAE in CR4
+    ; Enable PAE in CR4. This must come before paging is turned on:
+    ; with CR0.PG set and PAE clear the CPU would use legacy 32-bit paging.
     mov eax, cr4
     or eax, 0x20       ; PAE=1
     mov cr4, eax
 
+    ; Enable Paging in CR0 (with LME and PAE set, this activates long mode)
+    mov eax, cr0
+    or eax, 0x80000001 ; PE=1, PG=1
+    mov cr0, eax
+
     ; Now, perform a far jump to our 64-bit code.
     ; This jump will load CS with a 64-bit segment selector and
     ; tell the CPU to start interpreting instructions as 64-bit.
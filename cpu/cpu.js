@@ -2,29 +2,272 @@ import * as utils from "./utils.js";
 import { Memory } from "./memory.js";
 import { IOManager } from "./io.js";
 
-export class PageFaultException extends Error {
-    constructor(message, errorCode) {
+// Base class for architectural exceptions raised while executing an instruction.
+// step() catches these, rewinds RIP to the faulting instruction and delivers `vector` through the IDT.
+export class CPUException extends Error {
+    constructor(message, vector, errorCode = null) {
         super(message);
-        this.name = "PageFaultException";
+        this.name = "CPUException";
+        this.vector = vector;
         this.errorCode = errorCode;
     }
 }
 
+// #PF (vector 14): a failed linear address translation. The faulting address is loaded into CR2 and
+// the error code describes the access (see CPU.PF_ERROR_*).
+export class PageFaultException extends CPUException {
+    constructor(message, errorCode) {
+        super(message, 14, errorCode);
+        this.name = "PageFaultException";
+    }
+}
+
+// #DE (vector 0): division by zero or a quotient too large for the destination.
+export class DivideErrorException extends CPUException {
+    constructor(message) {
+        super(message, 0);
+        this.name = "DivideErrorException";
+    }
+}
+
+// #UD (vector 6): undefined opcode or an invalid encoding, such as a LOCK prefix on a non-lockable instruction.
+export class InvalidOpcodeException extends CPUException {
+    constructor(message) {
+        super(message, 6);
+        this.name = "InvalidOpcodeException";
+    }
+}
+
+// #DF (vector 8): a contributory fault or #PF raised while delivering another one. The error code is always 0;
+// a further fault while delivering #DF is a triple fault, which resets the machine.
+export class DoubleFaultException extends CPUException {
+    constructor(message) {
+        super(message, 8, 0);
+        this.name = "DoubleFaultException";
+    }
+}
+
+// #TS (vector 10): the TSS referenced by LTR or by an interrupt's stack switch is invalid. The error code is
+// the TSS selector.
+export class InvalidTssException extends CPUException {
+    constructor(message, errorCode = 0) {
+        super(message, 10, errorCode);
+        this.name = "InvalidTssException";
+    }
+}
+
+// #GP (vector 13): general protection violation. The error code is a selector index or 0.
+export class GeneralProtectionException extends CPUException {
+    constructor(message, errorCode = 0) {
+        super(message, 13, errorCode);
+        this.name = "GeneralProtectionException";
+    }
+}
+
+// #NP (vector 11): a segment descriptor that is not present was loaded. The error code is its selector.
+export class SegmentNotPresentException extends CPUException {
+    constructor(message, errorCode = 0) {
+        super(message, 11, errorCode);
+        this.name = "SegmentNotPresentException";
+    }
+}
+
+// #SS (vector 12): a stack segment limit violation, or loading SS with a not-present descriptor.
+export class StackFaultException extends CPUException {
+    constructor(message, errorCode = 0) {
+        super(message, 12, errorCode);
+        this.name = "StackFaultException";
+    }
+}
+
+// #AC (vector 17): a misaligned data access at CPL 3 with CR0.AM and RFLAGS.AC set. The error code is always 0.
+export class AlignmentCheckException extends CPUException {
+    constructor(message) {
+        super(message, 17, 0);
+        this.name = "AlignmentCheckException";
+    }
+}
+
 export class CPU {
     // --- STATIC CONSTANTS ---
     static CR0_PE = 1n << 0n;  // Protected Mode Enable
+    static CR0_WP = 1n << 16n; // Write Protect (supervisor writes honor read-only pages)
+    static CR0_AM = 1n << 18n; // Alignment Mask (with RFLAGS.AC, enables #AC at CPL 3)
     static CR0_PG = 1n << 31n; // Paging Enable
 
+    static CR4_TSD = 1n << 2n; // Time Stamp Disable (RDTSC/RDTSCP only at CPL 0)
+    static CR4_PSE = 1n << 4n; // Page Size Extensions (4 MiB pages with 32-bit paging)
     static CR4_PAE = 1n << 5n; // Physical Address Extension
-
-    static FLAG_CF_BIT = 0n;
-    static FLAG_ZF_BIT = 6n;
-    static FLAG_SF_BIT = 7n;
-    static FLAG_IF_BIT = 9n;
-    static FLAG_OF_BIT = 11n;
-
+    static CR4_PGE = 1n << 7n; // Page Global Enable (global pages survive CR3 loads)
+    static CR4_FSGSBASE = 1n << 16n; // Enables RDFSBASE/RDGSBASE/WRFSBASE/WRGSBASE
+
+    // RFLAGS bit positions
+    static FLAG_CF_BIT = 0n;   // Carry
+    static FLAG_PF_BIT = 2n;   // Parity
+    static FLAG_AF_BIT = 4n;   // Auxiliary Carry (carry out of bit 3, used by BCD arithmetic)
+    static FLAG_ZF_BIT = 6n;   // Zero
+    static FLAG_SF_BIT = 7n;   // Sign
+    static FLAG_TF_BIT = 8n;   // Trap (single-step)
+    static FLAG_IF_BIT = 9n;   // Interrupt Enable
+    static FLAG_DF_BIT = 10n;  // Direction (0 = string ops increment, 1 = decrement)
+    static FLAG_OF_BIT = 11n;  // Overflow
+    static FLAG_IOPL_SHIFT = 12n; // I/O Privilege Level (2-bit field, bits 12-13)
+    static FLAG_NT_BIT = 14n;  // Nested Task
+    static FLAG_RF_BIT = 16n;  // Resume
+    static FLAG_VM_BIT = 17n;  // Virtual-8086 Mode
+    static FLAG_AC_BIT = 18n;  // Alignment Check
+    static FLAG_VIF_BIT = 19n; // Virtual Interrupt Flag
+    static FLAG_VIP_BIT = 20n; // Virtual Interrupt Pending
+    static FLAG_ID_BIT = 21n;  // CPUID available (software-toggleable)
+
+    // Maps every single-bit entry of `this.flags` to its RFLAGS bit position.
+    // IOPL is the only multi-bit field and is handled separately.
+    static FLAG_BITS = {
+        cf: CPU.FLAG_CF_BIT, pf: CPU.FLAG_PF_BIT, af: CPU.FLAG_AF_BIT, zf: CPU.FLAG_ZF_BIT,
+        sf: CPU.FLAG_SF_BIT, tf: CPU.FLAG_TF_BIT, if: CPU.FLAG_IF_BIT, df: CPU.FLAG_DF_BIT,
+        of: CPU.FLAG_OF_BIT, nt: CPU.FLAG_NT_BIT, rf: CPU.FLAG_RF_BIT, vm: CPU.FLAG_VM_BIT,
+        ac: CPU.FLAG_AC_BIT, vif: CPU.FLAG_VIF_BIT, vip: CPU.FLAG_VIP_BIT, id: CPU.FLAG_ID_BIT,
+    };
+
+    // Bit 1 is reserved and always reads as 1. Bits 3, 5, 15 and 22-63 are reserved and always read as 0.
+    static RFLAGS_FIXED_ONES = 1n << 1n;
+
+    // Condition code mnemonics, indexed by the low nibble of Jcc/SETcc/CMOVcc opcodes
+    static CONDITION_MNEMONICS = ['O', 'NO', 'B', 'AE', 'E', 'NE', 'BE', 'A', 'S', 'NS', 'P', 'NP', 'L', 'GE', 'LE', 'G'];
+
+    static EFER_SCE = 1n << 0n; // System Call Extensions (SYSCALL/SYSRET)
     static EFER_LME = 1n << 8n; // Long Mode Enable
-    static EFER_NXE = 1n << 11n; // No-Execute Enable (for future NX bit support)
+    static EFER_NXE = 1n << 11n; // No-Execute Enable (bit 63 of PAE/4-level entries becomes XD)
+
+    // Model Specific Register addresses (ECX operand of RDMSR/WRMSR)
+    static MSR_EFER = 0xC0000080n;
+    static MSR_STAR = 0xC0000081n;  // SYSRET CS/SS base (bits 63:48) and SYSCALL CS/SS base (bits 47:32)
+    static MSR_LSTAR = 0xC0000082n; // SYSCALL target RIP for 64-bit callers
+    static MSR_CSTAR = 0xC0000083n; // SYSCALL target RIP for compatibility-mode callers
+    static MSR_FMASK = 0xC0000084n; // RFLAGS bits cleared by SYSCALL
+    static MSR_FS_BASE = 0xC0000100n;
+    static MSR_GS_BASE = 0xC0000101n;
+    static MSR_KERNEL_GS_BASE = 0xC0000102n; // Swapped with GS base by SWAPGS
+    static MSR_TSC = 0x10n;          // IA32_TIME_STAMP_COUNTER
+    static MSR_TSC_AUX = 0xC0000103n; // Returned in ECX by RDTSCP
+
+    // CPUID feature flags, by name: the leaf (and register/bit) that reports each one.
+    // Only features EmCPU actually implements are enabled in DEFAULT_CPUID_CONFIG.
+    static CPUID_FEATURE_BITS = {
+        pse:        { leaf: 0x00000001, reg: 'edx', bit: 3 },
+        tsc:        { leaf: 0x00000001, reg: 'edx', bit: 4 },
+        msr:        { leaf: 0x00000001, reg: 'edx', bit: 5 },
+        pae:        { leaf: 0x00000001, reg: 'edx', bit: 6 },
+        cx8:        { leaf: 0x00000001, reg: 'edx', bit: 8 },
+        pge:        { leaf: 0x00000001, reg: 'edx', bit: 13 },
+        cmov:       { leaf: 0x00000001, reg: 'edx', bit: 15 },
+        cx16:       { leaf: 0x00000001, reg: 'ecx', bit: 13 },
+        popcnt:     { leaf: 0x00000001, reg: 'ecx', bit: 23 },
+        hypervisor: { leaf: 0x00000001, reg: 'ecx', bit: 31 },
+        fsgsbase:   { leaf: 0x00000007, reg: 'ebx', bit: 0 },
+        invpcid:    { leaf: 0x00000007, reg: 'ebx', bit: 10 },
+        lahfLm:     { leaf: 0x80000001, reg: 'ecx', bit: 0 },
+        syscall:    { leaf: 0x80000001, reg: 'edx', bit: 11 },
+        nx:         { leaf: 0x80000001, reg: 'edx', bit: 20 },
+        abm:        { leaf: 0x80000001, reg: 'ecx', bit: 5 },  // LZCNT
+        rdtscp:     { leaf: 0x80000001, reg: 'edx', bit: 27 },
+        lm:         { leaf: 0x80000001, reg: 'edx', bit: 29 },
+    };
+
+    // Default CPUID identity and feature table. The third CPU constructor argument is merged over it;
+    // `features` entries are merged individually, and `leaves` can replace any leaf's registers outright,
+    // e.g. { leaves: { 0x80000008: { eax: 0x3030 } } }.
+    static DEFAULT_CPUID_CONFIG = {
+        vendor: 'GenuineIntel',        // 12 characters, leaf 0
+        family: 6,
+        model: 0x3A,
+        stepping: 9,
+        brand: 'EmCPU x86-64 Emulator', // Up to 48 characters, leaves 0x80000002-0x80000004
+        hypervisorSignature: 'EmCPU',   // Up to 12 characters, leaf 0x40000000
+        physicalAddressBits: 40,
+        linearAddressBits: 48,
+        features: {
+            pse: true, tsc: true, msr: true, pae: true, cx8: true, pge: true, cmov: true,
+            cx16: true, popcnt: true, hypervisor: true,
+            fsgsbase: true, invpcid: true,
+            lahfLm: true, syscall: true, nx: true, abm: true, rdtscp: true, lm: true,
+        },
+        leaves: {},
+    };
+
+    // Segment registers in ModR/M sreg-field order (MOV Sreg, MOV r/m, Sreg)
+    static SEGMENT_REGISTERS = ['es', 'cs', 'ss', 'ds', 'fs', 'gs'];
+
+    static GENERAL_PURPOSE_REGISTERS = ['rax', 'rcx', 'rdx', 'rbx', 'rsp', 'rbp', 'rsi', 'rdi',
+        'r8', 'r9', 'r10', 'r11', 'r12', 'r13', 'r14', 'r15'];
+
+    // Exceptions that escalate to #DF when one is raised while delivering another (#DE, #TS, #NP, #SS, #GP)
+    static CONTRIBUTORY_EXCEPTIONS = new Set([0, 10, 11, 12, 13]);
+
+    // Cached segment attributes: descriptor bits 40-55 (access byte, then AVL, L, D/B and G in the high nibble)
+    static SEG_ATTR_ACCESSED = 0x0001;
+    static SEG_ATTR_WRITABLE = 0x0002;    // Data segments; for code segments this bit means readable
+    static SEG_ATTR_EXPAND_DOWN = 0x0004; // Data segments; for code segments this bit means conforming
+    static SEG_ATTR_CODE = 0x0008;
+    static SEG_ATTR_S = 0x0010;           // Code/data (as opposed to system) descriptor
+    static SEG_ATTR_PRESENT = 0x0080;
+    static SEG_ATTR_L = 0x2000;           // 64-bit code segment
+    static SEG_ATTR_DB = 0x4000;          // 32-bit default operand/address size (code), 32-bit stack pointer (SS)
+    static SEG_ATTR_G = 0x8000;           // Limit is in 4 KiB units
+
+    // TSS fields used for stack switching: RSPn/ESPn are 8 bytes apart, as are the legacy SSn selectors
+    static TSS64_RSP0 = 4;
+    static TSS64_IST1 = 36;
+    static TSS32_ESP0 = 4;
+    static TSS32_SS0 = 8;
+    static TSS_IO_MAP_BASE = 102; // 16-bit offset of the I/O permission bitmap (both TSS formats)
+
+    // Attributes given to segments loaded in real mode: present, accessed, 16-bit, read/write data or readable code
+    static REAL_MODE_DATA_ATTRIBUTES = 0x0093;
+    static REAL_MODE_CODE_ATTRIBUTES = 0x009B;
+
+    // Segment override prefix bytes and the segment register each one selects
+    static SEGMENT_OVERRIDE_PREFIXES = { 0x26: 'es', 0x2E: 'cs', 0x36: 'ss', 0x3E: 'ds', 0x64: 'fs', 0x65: 'gs' };
+
+    // ALU operation numbers: bits 5:3 of opcodes 0x00-0x3D and the /reg field of group 1 (0x80-0x83)
+    static ALU_ADD = 0;
+    static ALU_OR = 1;
+    static ALU_ADC = 2;
+    static ALU_SBB = 3;
+    static ALU_AND = 4;
+    static ALU_SUB = 5;
+    static ALU_XOR = 6;
+    static ALU_CMP = 7;
+    static ALU_MNEMONICS = ['ADD', 'OR', 'ADC', 'SBB', 'AND', 'SUB', 'XOR', 'CMP'];
+
+    // One-byte opcodes that accept a LOCK prefix (with a memory destination).
+    // 0x80-0x83 /7 (CMP), F6/F7 /0-/1 (TEST) and /4-/7, FE/FF /2-/7 are excluded by LOCKABLE_GROUP_REGS.
+    static LOCKABLE_OPCODES = new Set([
+        0x00, 0x01, 0x08, 0x09, 0x10, 0x11, 0x18, 0x19, 0x20, 0x21, 0x28, 0x29, 0x30, 0x31, // ADD/OR/ADC/SBB/AND/SUB/XOR r/m, reg
+        0x80, 0x81, 0x82, 0x83, // Group 1
+        0x86, 0x87,             // XCHG
+        0xF6, 0xF7,             // Group 3 (NOT/NEG)
+        0xFE, 0xFF,             // Group 4/5 (INC/DEC)
+    ]);
+
+    // Two-byte (0F xx) opcodes that accept a LOCK prefix (with a memory destination).
+    static LOCKABLE_TWO_BYTE_OPCODES = new Set([
+        0xAB, 0xB3, 0xBB, 0xBA, // BTS/BTR/BTC, Group 8
+        0xB0, 0xB1,             // CMPXCHG
+        0xC0, 0xC1,             // XADD
+        0xC7,                   // Group 9 (CMPXCHG8B/16B)
+    ]);
+
+    // For group opcodes, the ModR/M reg values that may be locked.
+    static LOCKABLE_GROUP_REGS = {
+        0x80: [0, 1, 2, 3, 4, 5, 6], 0x81: [0, 1, 2, 3, 4, 5, 6], 0x82: [0, 1, 2, 3, 4, 5, 6], 0x83: [0, 1, 2, 3, 4, 5, 6],
+        0xF6: [2, 3], 0xF7: [2, 3],
+        0xFE: [0, 1], 0xFF: [0, 1],
+    };
+    static LOCKABLE_TWO_BYTE_GROUP_REGS = {
+        0xBA: [5, 6, 7],
+        0xC7: [1],
+    };
 
     // Constants for Page Table Entry (PTE) bits
     // These apply to PML4E, PDPTE, PDE, PTE
@@ -37,11 +280,52 @@ export class CPU {
     static PTE_DIRTY         = 1n << 6n;   // D: Dirty (set by CPU on write) - only for last-level entries (PTE, PDE for 2MB, PDPTE for 1GB)
     static PTE_PAGE_SIZE     = 1n << 7n;   // PS: Page Size (0=4KB, 1=2MB or 1GB depending on level)
     static PTE_GLOBAL        = 1n << 8n;   // G: Global (prevents TLB flush on CR3 load - for kernel pages)
+    static PTE_NO_EXECUTE    = 1n << 63n;  // XD: Execute Disable (PAE/4-level entries with EFER.NXE)
+    static PTE_ADDRESS_MASK  = 0x000FFFFFFFFFF000n; // Bits 51:12 of a 64-bit (PAE/4-level) entry: next table or page frame
+
+    // Page fault error code bits
+    static PF_ERROR_PRESENT  = 1 << 0; // P: protection violation (0 = page not present)
+    static PF_ERROR_WRITE    = 1 << 1; // W/R: the access was a write
+    static PF_ERROR_USER     = 1 << 2; // U/S: the access was made at CPL 3
+    static PF_ERROR_RESERVED = 1 << 3; // RSVD: a paging entry has a reserved bit set
+    static PF_ERROR_FETCH    = 1 << 4; // I/D: instruction fetch (reported only when NX is enabled)
+
+    // Maximum number of 4 KiB translations kept in the software TLB
+    static TLB_CAPACITY = 4096;
+
+    // Bits of a present PAE PDPTE that must be zero (1, 2, 5-8 and 63:52); MOV CR3 raises #GP(0) if any is set
+    static PDPTE_RESERVED_BITS = 0xFFF00000000001E6n;
     // Bits 9-11 are ignored for software use
     // Bits 12-51 for physical page address (for 4KB pages) or bits 21-51 for 2MB/1GB pages
     // Bits 52-62 ignored for software use
     // Bit 63 (NXE in EFER, if enabled) for No-Execute
 
+    /**
+     * Writes a flat GDT (base 0, 4 GiB limit for every segment) to physical memory:
+     * 0x08 64-bit kernel code, 0x10 kernel data, 0x18 32-bit user code, 0x20 user data,
+     * 0x28 64-bit user code and 0x30 32-bit kernel code. The user selectors follow the
+     * layout SYSRET expects with STAR[63:48] = 0x18.
+     * @param {Memory} memory The memory object.
+     * @param {BigInt} gdtBasePhysAddr The physical address to place the table at.
+     * @returns {{base: BigInt, limit: number}} A value to assign to `cpu.gdtr`.
+     */
+    static setupFlatGDT(memory, gdtBasePhysAddr) {
+        const descriptors = [
+            0x0000000000000000n, // Null descriptor
+            0x00AF9A000000FFFFn, // 0x08: kernel code, 64-bit (L), DPL 0
+            0x00CF92000000FFFFn, // 0x10: kernel data, 32-bit (B), DPL 0
+            0x00CFFA000000FFFFn, // 0x18: user code, 32-bit (D), DPL 3
+            0x00CFF2000000FFFFn, // 0x20: user data, DPL 3
+            0x00AFFA000000FFFFn, // 0x28: user code, 64-bit (L), DPL 3
+            0x00CF9A000000FFFFn, // 0x30: kernel code, 32-bit (D), DPL 0
+        ];
+        descriptors.forEach((descriptor, index) => {
+            memory.writeBigUint64(Number(gdtBasePhysAddr) + index * 8, descriptor);
+        });
+        utils.log(`Flat GDT with ${descriptors.length} descriptors at PA 0x${gdtBasePhysAddr.toString(16)}`);
+        return { base: gdtBasePhysAddr, limit: descriptors.length * 8 - 1 };
+    }
+
     /**
      * Creates a minimal 4-level page table structure to identity-map a range of virtual addresses to physical.
      * Assumes 4KB pages.
@@ -135,25 +419,56 @@ export class CPU {
         return pml4TablePhys; // Return the base address of the PML4 table for CR3
     }
 
-    constructor(memory = new Memory(1024 * 1024 * 1), io = new IOManager()) {
+    constructor(memory = new Memory(1024 * 1024 * 1), io = new IOManager(), cpuidConfig = {}) {
         this.memory = memory;
         this.io = io;
 
-        // Interrupt Descriptor Table Register
+        // CPUID identity and feature table (see DEFAULT_CPUID_CONFIG)
+        this.cpuidConfig = {
+            ...CPU.DEFAULT_CPUID_CONFIG,
+            ...cpuidConfig,
+            features: { ...CPU.DEFAULT_CPUID_CONFIG.features, ...cpuidConfig.features },
+            leaves: { ...CPU.DEFAULT_CPUID_CONFIG.leaves, ...cpuidConfig.leaves },
+        };
+
+        // Time stamp counter: the number of retired instructions plus an offset that WRMSR to IA32_TSC adjusts.
+        this.instructionsRetired = 0n;
+        this.tscOffset = 0n;
+        this.tscAux = 0n;
+
+        // SYSCALL/SYSRET MSRs
+        this.star = 0n;
+        this.lstar = 0n;
+        this.cstar = 0n;
+        this.fmask = 0n;
+
+        // Interrupt Descriptor Table Register (the real-mode IVT at 0 after reset)
         this.idtr = {
             base: 0n,
-            limit: 0
+            limit: 0xFFFF
         }
 
         // Global Descriptor Table Register
         this.gdtr = {
             base: 0n,
-            limit: 0
+            limit: 0xFFFF
         }
 
-        // Interrupt Queue
+        // Task Register: the TSS selector and its cached descriptor (see loadTaskRegister)
+        this.tr = { selector: 0n, base: 0n, limit: 0xFFFFn, attributes: 0x8B };
+
+        // Interrupt Queue: vectors injected directly with raiseInterrupt, bypassing the interrupt controller
         this.interruptQueue = [];
 
+        // External interrupt controller acknowledged for maskable interrupts (see attachInterruptController)
+        this.interruptController = null;
+
+        // Debugger notified of INT3 breakpoints (see attachDebugger)
+        this.debugger = null;
+
+        // Called when the machine resets after a triple fault (see addResetListener)
+        this.resetListeners = [];
+
         // General Purpose Registers
         this.rax = 0n; this.rbx = 0n; this.rcx = 0n; this.rdx = 0n;
         this.rsp = 0n; this.rbp = 0n; this.rsi = 0n; this.rdi = 0n;
@@ -168,6 +483,19 @@ export class CPU {
         this.fs = 0n;
         this.gs = 0n;
 
+        // Hidden FS/GS base addresses (IA32_FS_BASE / IA32_GS_BASE) and the
+        // IA32_KERNEL_GS_BASE value that SWAPGS exchanges with the GS base.
+        this.kernelGsBase = 0n;
+
+        // Hidden (cached) part of each segment register, loaded whenever the selector is loaded.
+        // In real mode the base is selector * 16 and the limit is 64 KiB. The FS/GS bases are
+        // also exposed as fsBase/gsBase, which the MSRs and SWAPGS/WRFSBASE access.
+        this.segmentCache = {};
+        for (const segment of CPU.SEGMENT_REGISTERS) {
+            const attributes = (segment === 'cs') ? CPU.REAL_MODE_CODE_ATTRIBUTES : CPU.REAL_MODE_DATA_ATTRIBUTES;
+            this.segmentCache[segment] = { base: 0n, limit: 0xFFFFn, attributes };
+        }
+
         // RFLAGS Register
         this.rflags = 0n;
 
@@ -177,21 +505,47 @@ export class CPU {
         // Flags
         this.halted = false;
         this.flags = {
-            cf: 0, // Carry Flag
-            zf: 0, // Zero Flag
-            sf: 0, // Sign Flag
-            of: 0, // Overflow Flag
-            if: 1, // Interrupt Flag
-            // TODO: Add more flags
+            cf: 0,   // Carry Flag
+            pf: 0,   // Parity Flag
+            af: 0,   // Auxiliary Carry Flag
+            zf: 0,   // Zero Flag
+            sf: 0,   // Sign Flag
+            tf: 0,   // Trap Flag
+            if: 1,   // Interrupt Flag
+            df: 0,   // Direction Flag
+            of: 0,   // Overflow Flag
+            iopl: 0, // I/O Privilege Level (0-3)
+            nt: 0,   // Nested Task
+            rf: 0,   // Resume Flag
+            vm: 0,   // Virtual-8086 Mode
+            ac: 0,   // Alignment Check
+            vif: 0,  // Virtual Interrupt Flag
+            vip: 0,  // Virtual Interrupt Pending
+            id: 0,   // ID Flag
         }
 
+        // Set when TF was 1 at the start of an instruction; the #DB single-step
+        // trap is delivered before the next instruction is fetched.
+        this.singleStepPending = false;
+
         // CPU Modes and Control Registers
         this.mode = "real"; // real, protected, long
         this.cr0 = 0n; // Control Register 0
+        this.cr2 = 0n; // Control Register 2 (page fault linear address)
         this.cr3 = 0n; // Control Register 3
         this.cr4 = 0n; // Control Register 4
         this.efer = 0n; // Extended Feature Enable Register
 
+        // The four PAE PDPTEs, which the processor caches when CR3 is loaded (null until first needed)
+        this.pdptes = null;
+
+        // Software TLB: linear page number -> cached translation (see translateVirtualToPhysical)
+        this.tlb = new Map();
+        this.tlbStats = { hits: 0, misses: 0, flushes: 0, invalidations: 0 };
+
+        // Set while the CPU itself reads descriptor tables, which paging treats as supervisor accesses at any CPL
+        this.implicitSupervisorAccess = false;
+
         // Mapping register names to their internal names
         this.registers = {
             // Full 64-bit
@@ -246,7 +600,7 @@ export class CPU {
         if (sizeBytes === 2) return (val & 0xFFFFn);
         if (sizeBytes === 4) return (val & 0xFFFFFFFFn);
         if (sizeBytes === 8) return val;
-        throw new Error(`Invalid register size: ${sizeBytes}`);
+        throw new InvalidOpcodeException(`Invalid register size: ${sizeBytes}`);
     }
 
     // Helper to write values to register values with size handling
@@ -276,16 +630,35 @@ export class CPU {
             // In 64-bit mode, writing to a 32-bit register (like EAX) zeros the upper 32 bits of the 64-bit register (RAX).
             this[fullReg] = valToWrite & 0xFFFFFFFFn; // THIS IS THE CRITICAL CHANGE
         } else if (sizeBytes === 8) {
-            // RAX, RCX, etc. Full 64-bit write.
-            this[fullReg] = valToWrite;
+            // RAX, RCX, etc. Full 64-bit write. Masking keeps negative intermediate results in two's complement form.
+            this[fullReg] = valToWrite & 0xFFFFFFFFFFFFFFFFn;
         } else {
-            throw new Error(`Invalid register size for writing: ${sizeBytes} for register ${regName}`);
+            throw new InvalidOpcodeException(`Invalid register size for writing: ${sizeBytes} for register ${regName}`);
         }
     }
 
+    // Returns 1 if the low byte of the value has an even number of set bits (the PF rule), else 0.
+    static parity(value) {
+        let b = Number(value & 0xFFn);
+        b ^= b >> 4;
+        b ^= b >> 2;
+        b ^= b >> 1;
+        return (b & 1) ^ 1;
+    }
+
+    // Updates ZF, SF and PF from a result truncated to the operand size.
+    // Shared by every instruction that sets the "result" flags.
+    updateResultFlags(result, sizeBytes) {
+        const bitWidth = BigInt(sizeBytes * 8);
+        const maskedResult = result & ((1n << bitWidth) - 1n);
+        this.flags.zf = (maskedResult === 0n) ? 1 : 0;
+        this.flags.sf = ((maskedResult >> (bitWidth - 1n)) & 1n) === 1n ? 1 : 0;
+        this.flags.pf = CPU.parity(maskedResult);
+    }
+
     // Updates arithmetic flags based on result and operands
     // Result, operand1, operand2 should be BigInts.
-    // 'operation' can be 'add' or 'sub'
+    // 'operation' can be 'add' or 'sub'; anything else (e.g. 'and', 'or', 'xor') is treated as a logical op.
     updateArithmeticFlags(result, operand1, operand2, sizeBytes, operation) {
         const bitWidth = BigInt(sizeBytes * 8);
         const bitMask = (1n << bitWidth) - 1n; 
@@ -297,11 +670,17 @@ export class CPU {
         const maskedOperand1 = operand1 & bitMask;
         const maskedOperand2 = operand2 & bitMask;
 
-        // Zero Flag (ZF): Set if result is 0
-        this.flags.zf = (maskedResult === 0n) ? 1 : 0;
+        // Zero, Sign and Parity Flags (ZF, SF, PF)
+        this.updateResultFlags(maskedResult, sizeBytes);
 
-        // Sign Flag (SF): Set if result's MSB is 1
-        this.flags.sf = ((maskedResult & signBitMask) !== 0n) ? 1 : 0;
+        // Auxiliary Carry Flag (AF): carry/borrow out of bit 3.
+        // Bit 4 of (op1 ^ op2 ^ result) is exactly the carry into bit 4 for both ADD and SUB.
+        // For logical operations AF is undefined; we clear it like most hardware does.
+        if (operation === 'add' || operation === 'sub') {
+            this.flags.af = (((maskedOperand1 ^ maskedOperand2 ^ maskedResult) & 0x10n) !== 0n) ? 1 : 0;
+        } else {
+            this.flags.af = 0;
+        }
 
         // Carry Flag (CF): For unsigned overflow
         // For ADD: CF = 1 if result (unsigned) > max_unsigned_value_for_size
@@ -345,30 +724,480 @@ export class CPU {
         }
     }
 
+    // Executes one of the eight classic ALU operations, numbered as in bits 5:3 of opcodes 0x00-0x3D and the
+    // /reg field of group 1. Operands are truncated to the operand size first, so sign-extended immediates
+    // behave as unsigned values. Sets all arithmetic flags and returns the truncated result; the caller
+    // decides whether to store it (CMP never does).
+    executeAluOperation(operation, destValue, sourceValue, sizeBytes) {
+        const mask = (1n << BigInt(sizeBytes * 8)) - 1n;
+        const a = destValue & mask;
+        const b = sourceValue & mask;
+        const carryIn = (operation === CPU.ALU_ADC || operation === CPU.ALU_SBB) ? BigInt(this.flags.cf) : 0n;
+        let result;
+
+        switch (operation) {
+            case CPU.ALU_ADD:
+            case CPU.ALU_ADC:
+                result = a + b + carryIn;
+                this.updateArithmeticFlags(result, a, b, sizeBytes, 'add');
+                break;
+            case CPU.ALU_SUB:
+            case CPU.ALU_SBB:
+            case CPU.ALU_CMP:
+                result = a - b - carryIn;
+                this.updateArithmeticFlags(result, a, b, sizeBytes, 'sub');
+                // The borrow includes the incoming carry (b + CF may equal 2^n for SBB).
+                this.flags.cf = (a < b + carryIn) ? 1 : 0;
+                break;
+            case CPU.ALU_OR:
+                result = a | b;
+                this.updateArithmeticFlags(result, a, b, sizeBytes, 'or');
+                break;
+            case CPU.ALU_AND:
+                result = a & b;
+                this.updateArithmeticFlags(result, a, b, sizeBytes, 'and');
+                break;
+            case CPU.ALU_XOR:
+                result = a ^ b;
+                this.updateArithmeticFlags(result, a, b, sizeBytes, 'xor');
+                break;
+            default:
+                throw new Error(`Invalid ALU operation: ${operation}`);
+        }
+        return result & mask;
+    }
+
+    // Evaluates one of the 16 x86 condition codes (tttn encoding) against the current flags.
+    // Even codes test a condition, odd codes test its negation.
+    evaluateCondition(conditionCode) {
+        const f = this.flags;
+        let result;
+        switch (conditionCode >> 1) {
+            case 0: result = f.of === 1; break;                        // O / NO
+            case 1: result = f.cf === 1; break;                        // B/NAE/C / AE/NB/NC
+            case 2: result = f.zf === 1; break;                        // E/Z / NE/NZ
+            case 3: result = f.cf === 1 || f.zf === 1; break;          // BE/NA / A/NBE
+            case 4: result = f.sf === 1; break;                        // S / NS
+            case 5: result = f.pf === 1; break;                        // P/PE / NP/PO
+            case 6: result = f.sf !== f.of; break;                     // L/NGE / GE/NL
+            case 7: result = f.zf === 1 || f.sf !== f.of; break;       // LE/NG / G/NLE
+            default:
+                throw new Error(`Invalid condition code: ${conditionCode}`);
+        }
+        return (conditionCode & 1) ? !result : result;
+    }
+
+    // Shared tail of every Jcc form: evaluates the condition and adjusts RIP.
+    // The displacement must already have been consumed from the instruction stream.
+    executeConditionalJump(conditionCode, displacement, formName, branchSize) {
+        const mnemonic = `J${CPU.CONDITION_MNEMONICS[conditionCode]}`;
+        utils.log(`Decoded: ${mnemonic} ${formName} 0x${displacement.toString(16)} (RIP adjusted)`);
+        if (this.evaluateCondition(conditionCode)) {
+            this.branchTo(this.rip + displacement, branchSize);
+            utils.log(`  Condition Met. Jumping to 0x${this.rip.toString(16)}`);
+        } else {
+            utils.log(`  Condition Not Met. Not jumping.`);
+        }
+        return true;
+    }
+
+    // Maximum number of REP iterations executed by a single step() call. Longer runs
+    // rewind RIP and continue on the next step, giving pending interrupts a chance to be serviced.
+    static REP_ITERATIONS_PER_STEP = 4096;
+
+    // Effective address size in bytes for the current instruction (mode default, toggled by 0x67).
+    getEffectiveAddressSize() {
+        if (this.is64BitCode()) {
+            return this.addressSizeOverride ? 4 : 8;
+        }
+        const defaultIs32 = this.mode !== 'real' && (this.segmentCache.cs.attributes & CPU.SEG_ATTR_DB) !== 0;
+        return (defaultIs32 !== this.addressSizeOverride) ? 4 : 2;
+    }
+
+    // Executes MOVS/CMPS/STOS/LODS/SCAS, honoring REP/REPE/REPNE, DF and the address size.
+    // The source is DS:[RSI] (segment overridable) and the destination is ES:[RDI] (never overridable);
+    // RCX/ECX/CX (chosen by the address size) is the counter.
+    executeStringInstruction(kind, sizeBytes, instructionStart) {
+        const addressSize = this.getEffectiveAddressSize();
+        const siName = this.getRegisterString(6, addressSize);
+        const diName = this.getRegisterString(7, addressSize);
+        const cxName = this.getRegisterString(1, addressSize);
+        const accName = this.getRegisterString(0, sizeBytes);
+        const delta = BigInt(this.flags.df ? -sizeBytes : sizeBytes);
+        const compares = (kind === 'cmps' || kind === 'scas');
+        const repeat = this.repPrefix !== 0;
+        const srcSegment = this.segmentOverride ?? 'ds';
+        const srcBase = this.getSegmentBase(srcSegment);
+        const dstBase = this.getSegmentBase('es');
+
+        let iterations = 0;
+        while (true) {
+            if (repeat) {
+                if (this.readRegister(cxName, addressSize) === 0n) break;
+                // Give pending interrupts a chance between iterations; RIP is rewound below
+                // so the instruction resumes with the updated registers.
+                if (iterations >= CPU.REP_ITERATIONS_PER_STEP || (iterations > 0 && this.flags.if && this.hasPendingInterrupt())) {
+                    this.rip = instructionStart;
+                    break;
+                }
+            }
+
+            const si = this.readRegister(siName, addressSize);
+            const di = this.readRegister(diName, addressSize);
+            const srcAddr = srcBase + si;
+            const dstAddr = dstBase + di;
+            if (kind === 'movs' || kind === 'cmps' || kind === 'lods') {
+                this.checkSegmentAccess(srcSegment, si, sizeBytes);
+            }
+            if (kind !== 'lods') {
+                this.checkSegmentAccess('es', di, sizeBytes, kind === 'movs' || kind === 'stos');
+            }
+
+            switch (kind) {
+                case 'movs':
+                    this.writeVirtual(dstAddr, this.readVirtual(srcAddr, sizeBytes), sizeBytes);
+                    break;
+                case 'stos':
+                    this.writeVirtual(dstAddr, this.readRegister(accName, sizeBytes), sizeBytes);
+                    break;
+                case 'lods':
+                    this.writeRegister(accName, this.readVirtual(srcAddr, sizeBytes), sizeBytes);
+                    break;
+                case 'cmps': {
+                    const src1 = this.readVirtual(srcAddr, sizeBytes);
+                    const src2 = this.readVirtual(dstAddr, sizeBytes);
+                    this.updateArithmeticFlags(src1 - src2, src1, src2, sizeBytes, 'sub');
+                    break;
+                }
+                case 'scas': {
+                    const acc = this.readRegister(accName, sizeBytes);
+                    const mem = this.readVirtual(dstAddr, sizeBytes);
+                    this.updateArithmeticFlags(acc - mem, acc, mem, sizeBytes, 'sub');
+                    break;
+                }
+            }
+
+            if (kind === 'movs' || kind === 'cmps' || kind === 'lods') {
+                this.writeRegister(siName, si + delta, addressSize);
+            }
+            if (kind !== 'lods') {
+                this.writeRegister(diName, di + delta, addressSize);
+            }
+
+            if (!repeat) break;
+
+            iterations++;
+            this.writeRegister(cxName, this.readRegister(cxName, addressSize) - 1n, addressSize);
+
+            // REPE stops on the first mismatch, REPNE on the first match (CMPS/SCAS only).
+            if (compares) {
+                if (this.repPrefix === 0xF3 && this.flags.zf === 0) break;
+                if (this.repPrefix === 0xF2 && this.flags.zf === 1) break;
+            }
+        }
+
+        const sizeSuffix = { 1: 'B', 2: 'W', 4: 'D', 8: 'Q' }[sizeBytes];
+        const prefixStr = !repeat ? '' : compares ? (this.repPrefix === 0xF3 ? 'REPE ' : 'REPNE ') : 'REP ';
+        utils.log(`Decoded: ${prefixStr}${kind.toUpperCase()}${sizeSuffix} (${repeat ? `${iterations} iterations, ` : ''}${siName.toUpperCase()}=0x${this.readRegister(siName, addressSize).toString(16)}, ${diName.toUpperCase()}=0x${this.readRegister(diName, addressSize).toString(16)})`);
+        return true;
+    }
+
+    // Performs a Group 2 shift/rotate (/reg: 0=ROL 1=ROR 2=RCL 3=RCR 4=SHL 5=SHR 6=SAL 7=SAR) and updates flags.
+    // The count is masked to 5 bits (6 bits for 64-bit operands); a masked count of 0 leaves all flags untouched.
+    // OF is only architecturally defined for 1-bit shifts, but is computed with the same formula for larger counts.
+    executeShiftRotate(operation, value, count, sizeBytes) {
+        const bits = BigInt(sizeBytes * 8);
+        const bitMask = (1n << bits) - 1n;
+        const msb = (v) => (v >> (bits - 1n)) & 1n;
+        value &= bitMask;
+
+        const maskedCount = count & (sizeBytes === 8 ? 0x3Fn : 0x1Fn);
+        if (maskedCount === 0n) {
+            return value;
+        }
+
+        let result;
+        let cf;
+        let of;
+        switch (operation) {
+            case 0: { // ROL
+                const n = maskedCount % bits;
+                result = ((value << n) | (value >> ((bits - n) % bits))) & bitMask;
+                cf = result & 1n;
+                of = msb(result) ^ cf;
+                break;
+            }
+            case 1: { // ROR
+                const n = maskedCount % bits;
+                result = ((value >> n) | (value << ((bits - n) % bits))) & bitMask;
+                cf = msb(result);
+                of = msb(result) ^ ((result >> (bits - 2n)) & 1n);
+                break;
+            }
+            case 2: { // RCL - rotate the (size + 1)-bit quantity CF:value left
+                const n = maskedCount % (bits + 1n);
+                const wide = (BigInt(this.flags.cf) << bits) | value;
+                const wideMask = (1n << (bits + 1n)) - 1n;
+                const rotated = ((wide << n) | (wide >> ((bits + 1n - n) % (bits + 1n)))) & wideMask;
+                result = rotated & bitMask;
+                cf = rotated >> bits;
+                of = msb(result) ^ cf;
+                break;
+            }
+            case 3: { // RCR - rotate the (size + 1)-bit quantity CF:value right
+                const n = maskedCount % (bits + 1n);
+                of = msb(value) ^ BigInt(this.flags.cf); // Computed before the rotation
+                const wide = (BigInt(this.flags.cf) << bits) | value;
+                const wideMask = (1n << (bits + 1n)) - 1n;
+                const rotated = ((wide >> n) | (wide << ((bits + 1n - n) % (bits + 1n)))) & wideMask;
+                result = rotated & bitMask;
+                cf = rotated >> bits;
+                break;
+            }
+            case 4: // SHL
+            case 6: // SAL (identical to SHL)
+                result = (value << maskedCount) & bitMask;
+                cf = maskedCount <= bits ? (value >> (bits - maskedCount)) & 1n : 0n;
+                of = msb(result) ^ cf;
+                break;
+            case 5: // SHR
+                result = value >> maskedCount;
+                cf = (value >> (maskedCount - 1n)) & 1n;
+                of = msb(value);
+                break;
+            case 7: { // SAR
+                const signed = BigInt.asIntN(Number(bits), value);
+                result = (signed >> maskedCount) & bitMask;
+                cf = (signed >> (maskedCount - 1n)) & 1n;
+                of = 0n;
+                break;
+            }
+        }
+
+        this.flags.cf = Number(cf);
+        this.flags.of = Number(of);
+        // Rotates only affect CF and OF; shifts also set SF, ZF and PF (AF is undefined and cleared).
+        if (operation >= 4) {
+            this.updateResultFlags(result, sizeBytes);
+            this.flags.af = 0;
+        }
+        return result;
+    }
+
+    // SHLD/SHRD: shifts `value` by `count`, filling the vacated bits from `fill`.
+    // Counts larger than the operand size (possible only for 16-bit operands) give an undefined result on
+    // hardware; here the bits keep flowing in from the concatenated operands.
+    executeDoubleShift(value, fill, count, sizeBytes, left) {
+        const bits = BigInt(sizeBytes * 8);
+        const bitMask = (1n << bits) - 1n;
+        value &= bitMask;
+        fill &= bitMask;
+
+        const maskedCount = count & (sizeBytes === 8 ? 0x3Fn : 0x1Fn);
+        if (maskedCount === 0n) {
+            return value;
+        }
+
+        let result;
+        let cf;
+        if (left) {
+            const wide = (value << bits) | fill;
+            result = ((wide << maskedCount) >> bits) & bitMask;
+            cf = maskedCount <= bits ? (value >> (bits - maskedCount)) & 1n : 0n;
+        } else {
+            const wide = (fill << bits) | value;
+            result = (wide >> maskedCount) & bitMask;
+            cf = (wide >> (maskedCount - 1n)) & 1n;
+        }
+
+        this.flags.cf = Number(cf);
+        this.flags.of = Number(((result ^ value) >> (bits - 1n)) & 1n); // Set if the sign bit changed
+        this.updateResultFlags(result, sizeBytes);
+        this.flags.af = 0;
+        return result;
+    }
+
+    // Number of zero bits below the lowest set bit (`bits` when the value is 0).
+    static countTrailingZeros(value, bits) {
+        let count = 0;
+        while (count < bits && ((value >> BigInt(count)) & 1n) === 0n) count++;
+        return count;
+    }
+
+    // Number of zero bits above the highest set bit (`bits` when the value is 0).
+    static countLeadingZeros(value, bits) {
+        let count = 0;
+        while (count < bits && ((value >> BigInt(bits - 1 - count)) & 1n) === 0n) count++;
+        return count;
+    }
+
+    // Shared body of BT/BTS/BTR/BTC (operation 0-3). Copies the selected bit into CF and, except for BT,
+    // writes back the operand with the bit set, reset or complemented. Returns the (new) operand value.
+    // With a register-supplied offset and a memory operand (`offsetAddressesMemory`), the signed offset may
+    // select a bit outside the addressed operand: the address moves by whole operands first.
+    executeBitTest(rmOperand, bitOffset, sizeBytes, operation, offsetAddressesMemory) {
+        const bits = BigInt(sizeBytes * 8);
+        let operand = rmOperand;
+        if (rmOperand.type === 'mem' && offsetAddressesMemory) {
+            // Floor division (arithmetic shift) so negative offsets address lower memory
+            const operandIndex = bitOffset >> BigInt(Math.log2(sizeBytes * 8));
+            operand = { ...rmOperand, address: rmOperand.address + operandIndex * BigInt(sizeBytes) };
+        }
+        const bitIndex = bitOffset & (bits - 1n);
+        const bit = 1n << bitIndex;
+
+        const value = this.readRMOperand(operand, sizeBytes);
+        this.flags.cf = (value & bit) !== 0n ? 1 : 0;
+
+        let result = value;
+        if (operation === 1) result = value | bit;
+        else if (operation === 2) result = value & ~bit;
+        else if (operation === 3) result = value ^ bit;
+
+        if (operation !== 0) {
+            this.writeRMOperand(operand, result, sizeBytes);
+        }
+        return result;
+    }
+
+    // Reads the accumulator pair used by one-operand MUL/DIV: AX for bytes, otherwise rDX:rAX.
+    // Returns [high, low] as unsigned BigInts of `sizeBytes` each.
+    readAccumulatorPair(sizeBytes) {
+        if (sizeBytes === 1) {
+            return [this.readRegister('ah', 1), this.readRegister('al', 1)];
+        }
+        return [
+            this.readRegister(this.getRegisterString(2, sizeBytes), sizeBytes),
+            this.readRegister(this.getRegisterString(0, sizeBytes), sizeBytes),
+        ];
+    }
+
+    writeAccumulatorPair(high, low, sizeBytes) {
+        if (sizeBytes === 1) {
+            this.writeRegister('ah', high, 1);
+            this.writeRegister('al', low, 1);
+            return;
+        }
+        this.writeRegister(this.getRegisterString(2, sizeBytes), high, sizeBytes);
+        this.writeRegister(this.getRegisterString(0, sizeBytes), low, sizeBytes);
+    }
+
+    // One-operand MUL/IMUL: rDX:rAX (or AX) = rAX (or AL) * source.
+    // CF and OF are set when the upper half holds significant bits of the product.
+    executeMultiply(source, sizeBytes, signed) {
+        const bits = sizeBytes * 8;
+        const bitMask = (1n << BigInt(bits)) - 1n;
+        const accumulator = this.readAccumulatorPair(sizeBytes)[1];
+
+        let product;
+        let overflow;
+        if (signed) {
+            product = BigInt.asIntN(bits, accumulator) * BigInt.asIntN(bits, source);
+            // No overflow if the product fits in the lower half when sign-extended.
+            overflow = BigInt.asIntN(bits, product) !== product;
+        } else {
+            product = (accumulator & bitMask) * (source & bitMask);
+            overflow = (product >> BigInt(bits)) !== 0n;
+        }
+
+        const productBits = BigInt.asUintN(bits * 2, product);
+        this.writeAccumulatorPair(productBits >> BigInt(bits), productBits & bitMask, sizeBytes);
+
+        // SF, ZF, AF and PF are architecturally undefined after MUL/IMUL and are left unchanged.
+        this.flags.cf = overflow ? 1 : 0;
+        this.flags.of = overflow ? 1 : 0;
+    }
+
+    // Two- and three-operand IMUL: the product is truncated to the operand size.
+    // CF and OF are set when the truncated result differs from the full signed product.
+    executeTruncatedMultiply(multiplicand, multiplier, sizeBytes) {
+        const bits = sizeBytes * 8;
+        const product = BigInt.asIntN(bits, multiplicand) * BigInt.asIntN(bits, multiplier);
+        const result = BigInt.asIntN(bits, product);
+        const overflow = result !== product;
+
+        // SF, ZF, AF and PF are architecturally undefined after IMUL and are left unchanged.
+        this.flags.cf = overflow ? 1 : 0;
+        this.flags.of = overflow ? 1 : 0;
+        return BigInt.asUintN(bits, result);
+    }
+
+    // One-operand DIV/IDIV: divides rDX:rAX (or AX) by the source, leaving the quotient in rAX (or AL)
+    // and the remainder in rDX (or AH). Raises #DE on a zero divisor or an out-of-range quotient.
+    executeDivide(divisor, sizeBytes, signed) {
+        const bits = sizeBytes * 8;
+        const [high, low] = this.readAccumulatorPair(sizeBytes);
+        const dividendBits = (high << BigInt(bits)) | low;
+
+        if (divisor === 0n) {
+            throw new DivideErrorException(`${signed ? 'IDIV' : 'DIV'} by zero`);
+        }
+
+        let quotient;
+        let remainder;
+        if (signed) {
+            const dividend = BigInt.asIntN(bits * 2, dividendBits);
+            const signedDivisor = BigInt.asIntN(bits, divisor);
+            // BigInt division truncates toward zero and the remainder takes the dividend's sign, exactly like IDIV.
+            quotient = dividend / signedDivisor;
+            remainder = dividend % signedDivisor;
+            if (BigInt.asIntN(bits, quotient) !== quotient) {
+                throw new DivideErrorException(`IDIV quotient 0x${quotient.toString(16)} overflows ${bits} bits`);
+            }
+        } else {
+            quotient = dividendBits / divisor;
+            remainder = dividendBits % divisor;
+            if ((quotient >> BigInt(bits)) !== 0n) {
+                throw new DivideErrorException(`DIV quotient 0x${quotient.toString(16)} overflows ${bits} bits`);
+            }
+        }
+
+        // All arithmetic flags are undefined after DIV/IDIV and are left unchanged.
+        this.writeAccumulatorPair(remainder, quotient, sizeBytes);
+    }
+
     step() {
         let rexPrefix = 0;
         let defaultOperandSize; // Default bits are determined on current CPU mode (unless REX.W or 0x66 override)
 
         this.operandSizeOverride = false;
         this.addressSizeOverride = false;
+        this.repPrefix = 0; // 0xF3 (REP/REPE), 0xF2 (REPNE) or 0 when absent
+        this.segmentOverride = null; // 'es', 'cs', 'ss', 'ds', 'fs', 'gs' or null when absent
+        this.lockPrefix = false;
 
         let rex_w = 0;
         let rex_r = 0;
         let rex_x = 0;
         let rex_b = 0;
 
-        let currentRIPBeforeFetch = this.rip; // Store RIP to calculate instruction start accurately
+        // Single-step trap (#DB) for the instruction that just completed with TF=1.
+        // Traps are taken before external interrupts.
+        if (this.singleStepPending) {
+            this.singleStepPending = false;
+            this.deliverEvent(1);
+        }
 
-        if (this.flags.if && this.interruptQueue.length > 0) {
+        if (this.flags.if && this.hasPendingInterrupt()) {
             this.halted = false;
-            const interruptNumber = this.interruptQueue.shift();
-            this.triggerInterrupt(interruptNumber);
+            const interruptNumber = this.acknowledgeInterrupt();
+            this.deliverEvent(interruptNumber, null, false);
         }
 
         if (this.halted) {
             return true;
         }
 
+        // Store RIP to calculate instruction start accurately (after any interrupt delivery above)
+        let currentRIPBeforeFetch = this.rip;
+
+        // Counted up front so RDTSC sees itself as retired; a faulting instruction is uncounted in the catch below.
+        this.instructionsRetired++;
+
+        // TF is sampled at the start of each instruction, so an instruction that sets TF
+        // (e.g. POPF) only traps after the instruction that follows it.
+        this.singleStepPending = this.flags.tf === 1;
+
         let opcode; // Declare opcode here, will be assigned inside prefix loop
 
         try {
@@ -384,16 +1213,24 @@ export class CPU {
                 } else if (byte === 0x67) { // Address Size Override Prefix
                     this.addressSizeOverride = true;
                     byte = this.readInstructionByte(); // Consume 0x67, read next byte
-                } else if ((byte & 0xF0) === 0x40) { // REX prefix: 0x40 - 0x4F
+                } else if ((byte & 0xF0) === 0x40 && this.is64BitCode()) { // REX prefix: 0x40 - 0x4F (INC/DEC elsewhere)
                     rexPrefix = byte;
                     rex_w = (rexPrefix & 0x08) >>> 3;
                     rex_r = (rexPrefix & 0x04) >>> 2;
                     rex_x = (rexPrefix & 0x02) >>> 1;
                     rex_b = (rexPrefix & 0x01);
                     byte = this.readInstructionByte(); // Consume REX, read next byte
-                } 
-                // Add other prefixes here (e.g., segment overrides 0x2E, 0x36, REP prefixes 0xF2, 0xF3)
-                else {
+                } else if (byte === 0xF3 || byte === 0xF2) { // REP/REPE (0xF3) or REPNE (0xF2) prefix
+                    // When both are present the last one wins, as on real hardware.
+                    this.repPrefix = byte;
+                    byte = this.readInstructionByte(); // Consume REP, read next byte
+                } else if (CPU.SEGMENT_OVERRIDE_PREFIXES[byte] !== undefined) { // Segment override prefix
+                    this.segmentOverride = CPU.SEGMENT_OVERRIDE_PREFIXES[byte];
+                    byte = this.readInstructionByte(); // Consume override, read next byte
+                } else if (byte === 0xF0) { // LOCK prefix
+                    this.lockPrefix = true;
+                    byte = this.readInstructionByte(); // Consume LOCK, read next byte
+                } else {
                     // If it's not a known prefix, it must be the main opcode or 0x0F prefix
                     opcode = byte; // Assign the actual opcode
                     break; // Exit loop
@@ -401,7 +1238,7 @@ export class CPU {
             }
 
             // Determine the final default operand size based on mode and prefixes.
-            if (this.mode === 'long') {
+            if (this.is64BitCode()) {
                 // In long mode, REX.W takes precedence for 64-bit.
                 if (rex_w) {
                     defaultOperandSize = 8;
@@ -417,10 +1254,10 @@ export class CPU {
             } else if (this.mode === 'real') {
                 // In Real Mode, default is 16. 0x66 toggles to 32.
                 defaultOperandSize = this.operandSizeOverride ? 4 : 2;
-            } else { // Protected Mode
-                // Default is 16-bit. A 0x66 prefix toggles it to 32-bit.
-                // TODO: Add CS.D bit logic for protected mode here later.
-                defaultOperandSize = this.operandSizeOverride ? 2 : 4;
+            } else { // Protected Mode (or compatibility mode)
+                // CS.D selects a 32-bit (D=1) or 16-bit (D=0) default. A 0x66 prefix toggles it.
+                const defaultIs32 = (this.segmentCache.cs.attributes & CPU.SEG_ATTR_DB) !== 0;
+                defaultOperandSize = (defaultIs32 !== this.operandSizeOverride) ? 4 : 2;
             }
 
             // 2-byte opcode prefix (0x0F) - This comes *after* other prefixes
@@ -430,6 +1267,11 @@ export class CPU {
                 opcode = this.readInstructionByte(); // Read the second byte of the opcode
             }
 
+            // LOCK is only valid on read-modify-write instructions whose destination is memory.
+            if (this.lockPrefix && !this.isLockableInstruction(opcode, twoByteOpcode)) {
+                throw new InvalidOpcodeException(`LOCK prefix not allowed on opcode 0x${twoByteOpcode ? '0F' : ''}${opcode.toString(16).padStart(2, '0')}`);
+            }
+
             // --- Logging the Instruction ---
             utils.log(`RIP: 0x${currentRIPBeforeFetch.toString(16).padStart(4, '0')}, OPCODE: 0x${(twoByteOpcode ? '0F' : '')}${opcode.toString(16).padStart(2, '0')}${rexPrefix ? ` (REX: 0x${rexPrefix.toString(16)})` : ''}${this.operandSizeOverride ? ' (0x66)' : ''}`);
 
@@ -440,14 +1282,17 @@ export class CPU {
                 // MOV Reg, CRn (0x0F 20)
                 if (opcode === 0x20) {
                     const modrm = this.readModRMByte();
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("MOV from a control register at CPL > 0");
+                    }
                     const crIdx = modrm.reg;
                     const destRegFullIndex = modrm.rm + (rex_b << 3);
 
                     // The operand size is determined by the effective operand size.
-                    // In long mode, a REX.W prefix makes it 64-bit. Otherwise, it's 32-bit.
-                    // In real/protected mode, it defaults to 16 or 32.
+                    // In 64-bit mode, a REX.W prefix makes it 64-bit. Otherwise, it's 32-bit.
+                    // In real/protected/compatibility mode, it defaults to 16 or 32.
                     let sizeBytes = defaultOperandSize;
-                    if (this.mode === 'long') {
+                    if (this.is64BitCode()) {
                         sizeBytes = rex_w ? 8 : 4;
                     }
 
@@ -460,7 +1305,7 @@ export class CPU {
                         case 3: sourceValue = this.cr3; break;
                         case 4: sourceValue = this.cr4; break;
                         default:
-                            throw new Error(`Attempted to read from unknown/unsupported CR${crIdx}`);
+                            throw new InvalidOpcodeException(`MOV from unsupported CR${crIdx}`);
                     }
 
                     this.writeRegister(destRegName, sourceValue, sizeBytes);
@@ -472,6 +1317,9 @@ export class CPU {
                 // MOV CRn, Reg/Mem64 (0x0F 22)
                 if (opcode === 0x22) {
                     const modrm = this.readModRMByte();
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("MOV to a control register at CPL > 0");
+                    }
                     const crIdx = modrm.reg; // CR register is encoded in the 'reg' field of ModR/M
                     const sourceRegFullIndex = modrm.rm + (rex_b << 3); // Source GPR is encoded in 'r/m' field, REX.B applies
                     
@@ -481,45 +1329,49 @@ export class CPU {
                     const sourceValue = this.readRegister(sourceRegName, 8);
 
                     switch (crIdx) {
-                        case 0: this.cr0 = sourceValue; utils.log(`Decoded: MOV CR0, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`); this.updateCPUMode(); break;
+                        // Changing the paging mode discards the cached PDPTEs (the next PAE walk reloads them from CR3)
+                        // and, for bits that affect translation, the whole TLB.
+                        case 0:
+                            if (((this.cr0 ^ sourceValue) & (CPU.CR0_PG | CPU.CR0_WP | CPU.CR0_PE)) !== 0n) this.flushTlb(true);
+                            this.cr0 = sourceValue; utils.log(`Decoded: MOV CR0, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`); this.updateCPUMode(); this.pdptes = null; break;
                         case 2: this.cr2 = sourceValue; utils.log(`Decoded: MOV CR2, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`); break;
-                        case 3: this.cr3 = sourceValue; utils.log(`Decoded: MOV CR3, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`); break;
-                        case 4: this.cr4 = sourceValue; utils.log(`Decoded: MOV CR4, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`); this.updateCPUMode(); break;
-                        default: console.warn(`MOV CR${crIdx}, ${sourceRegName.toUpperCase()} not fully implemented/valid.`); 
+                        case 3:
+                            // With PAE paging active, loading CR3 also loads the four PDPTEs (and may fault).
+                            this.pdptes = (this.mode === 'protected_pae') ? this.loadPaePdptes(sourceValue) : null;
+                            this.cr3 = sourceValue;
+                            this.flushTlb(false); // Global pages survive
+                            utils.log(`Decoded: MOV CR3, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`);
+                            break;
+                        case 4:
+                            if (((this.cr4 ^ sourceValue) & (CPU.CR4_PGE | CPU.CR4_PAE | CPU.CR4_PSE)) !== 0n) this.flushTlb(true);
+                            this.cr4 = sourceValue; utils.log(`Decoded: MOV CR4, ${sourceRegName.toUpperCase()} (0x${sourceValue.toString(16)}n)`); this.updateCPUMode(); this.pdptes = null; break;
+                        default: throw new InvalidOpcodeException(`MOV to unsupported CR${crIdx}`);
                     }
                     return true;
                 }
                 // WRMSR (0x0F 30)
                 if (opcode === 0x30) {
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("WRMSR at CPL > 0");
+                    }
                     const msrAddr = this.readRegister('rcx', 8); 
-                    const valueHigh = this.readRegister('rdx', 8) << 32n; 
+                    const valueHigh = (this.readRegister('rdx', 8) & 0xFFFFFFFFn) << 32n; 
                     const valueLow = this.readRegister('rax', 8) & 0xFFFFFFFFn; 
                     const value = valueHigh | valueLow;
 
-                    if (msrAddr === 0xC0000080n) { // EFER MSR
-                        this.efer = value;
-                        if ((this.efer & CPU.EFER_LME) !== 0n) {
-                            utils.log(`Long Mode Enable (LME) bit set in EFER!`);
-                        }
-                        this.updateCPUMode();
-                    } else {
-                        console.warn(`WRMSR to unknown MSR 0x${msrAddr.toString(16)}`);
-                    }
+                    this.writeMSR(msrAddr & 0xFFFFFFFFn, value);
+                    utils.log(`Decoded: WRMSR (Wrote 0x${value.toString(16)} to MSR 0x${msrAddr.toString(16)})`);
                     return true;
                 }
                 // RDMSR (0x0F 32)
                 if (opcode === 0x32) {
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("RDMSR at CPL > 0");
+                    }
                     // The MSR to read is specified by the ECX register.
                     const msrAddr = this.readRegister('ecx', 4); // In 32-bit mode, it's ECX
 
-                    let valueToRead = 0n; // Default to 0 for unknown MSRs
-
-                    // Check which MSR is being requested
-                    if (msrAddr === 0xC0000080n) { // EFER MSR
-                        valueToRead = this.efer;
-                    } else {
-                        console.warn(`RDMSR from unknown MSR 0x${msrAddr.toString(16)}`);
-                    }
+                    const valueToRead = this.readMSR(msrAddr);
 
                     // The 64-bit result is placed in EDX:EAX
                     const low32 = valueToRead & 0xFFFFFFFFn;
@@ -532,30 +1384,269 @@ export class CPU {
                     utils.log(`Decoded: RDMSR (Read 0x${valueToRead.toString(16)} from MSR 0x${msrAddr.toString(16)} into EDX:EAX)`);
                     return true;
                 }
-                // JE/JZ (0x0F 84) - near jump with 32-bit displacement
-                if (opcode === 0x84) {
-                    const displacement = this.readSignedImmediate(4); // Read 32-bit signed displacement
-                    utils.log(`Decoded: JE/JZ rel32 0x${displacement.toString(16)} (RIP adjusted)`);
-                    if (this.flags.zf === 1) {
-                        this.rip += displacement; // Apply displacement if ZF is set
-                        utils.log(`  Condition Met (ZF=1). Jumping to 0x${this.rip.toString(16)}`);
+                // Jcc rel32 (0x0F 80 - 0x0F 8F) - near conditional jump
+                // The low nibble of the opcode selects the condition code.
+                if (opcode >= 0x80 && opcode <= 0x8F) {
+                    // The displacement follows the operand size, except in 64-bit mode where
+                    // it is always 32 bits (a 0x66 prefix does not shrink it to rel16).
+                    const displacementSize = (!this.is64BitCode() && defaultOperandSize === 2) ? 2 : 4;
+                    const displacement = this.readSignedImmediate(displacementSize);
+                    return this.executeConditionalJump(opcode & 0x0F, displacement, `rel${displacementSize * 8}`, this.getNearBranchSize(defaultOperandSize));
+                }
+                // CMOVcc reg, r/m (0F 40 - 0F 4F)
+                // The low nibble of the opcode selects the condition code.
+                if (opcode >= 0x40 && opcode <= 0x4F) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = defaultOperandSize;
+                    const destRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    // The source is read (and may fault) whether or not the condition holds.
+                    const source = this.readRMOperand(rmOperand, sizeBytes);
+                    const taken = this.evaluateCondition(opcode & 0x0F);
+                    if (taken) {
+                        this.writeRegister(destRegName, source, sizeBytes);
+                    } else if (sizeBytes === 4) {
+                        // A 32-bit destination is written (zero-extended) even when the condition is false.
+                        this.writeRegister(destRegName, this.readRegister(destRegName, 4), 4);
+                    }
+                    const srcStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: CMOV${CPU.CONDITION_MNEMONICS[opcode & 0x0F]} ${destRegName.toUpperCase()}, ${srcStr} (${taken ? 'moved' : 'not moved'})`);
+                    return true;
+                }
+                // SETcc r/m8 (0F 90 - 0F 9F)
+                // The reg field of the ModR/M byte is ignored.
+                if (opcode >= 0x90 && opcode <= 0x9F) {
+                    const modrm = this.readModRMByte();
+                    const rmOperand = this.resolveModRMOperand(modrm, 1, rex_x, rex_b, rexPrefix !== 0);
+                    const value = this.evaluateCondition(opcode & 0x0F) ? 1n : 0n;
+                    this.writeRMOperand(rmOperand, value, 1);
+                    const destStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: SET${CPU.CONDITION_MNEMONICS[opcode & 0x0F]} ${destStr} (= ${value})`);
+                    return true;
+                }
+                // SHLD r/m, reg, imm8/CL (0F A4 / 0F A5) and SHRD r/m, reg, imm8/CL (0F AC / 0F AD)
+                if (opcode === 0xA4 || opcode === 0xA5 || opcode === 0xAC || opcode === 0xAD) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = defaultOperandSize;
+                    const srcRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0, (opcode & 0x01) ? 0 : 1);
+                    const shiftCount = (opcode & 0x01) ? this.readRegister('cl', 1) : BigInt(this.readInstructionByte());
+                    const left = opcode <= 0xA5;
+
+                    const value = this.readRMOperand(rmOperand, sizeBytes);
+                    const result = this.executeDoubleShift(value, this.readRegister(srcRegName, sizeBytes), shiftCount, sizeBytes, left);
+                    this.writeRMOperand(rmOperand, result, sizeBytes);
+
+                    const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: ${left ? 'SHLD' : 'SHRD'} ${rmOperandStr}, ${srcRegName.toUpperCase()}, ${shiftCount} -> Result: 0x${result.toString(16)}`);
+                    return true;
+                }
+
+                // BT/BTS/BTR/BTC r/m, reg (0F A3 / AB / B3 / BB)
+                // BT/BTS/BTR/BTC r/m, imm8 (0F BA /4 - /7)
+                if (opcode === 0xA3 || opcode === 0xAB || opcode === 0xB3 || opcode === 0xBB || opcode === 0xBA) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = defaultOperandSize;
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0, (opcode === 0xBA) ? 1 : 0);
+
+                    // 0 = BT, 1 = BTS, 2 = BTR, 3 = BTC
+                    let operation;
+                    let bitOffset;
+                    if (opcode === 0xBA) {
+                        if (modrm.reg < 4) {
+                            throw new InvalidOpcodeException(`Undefined opcode 0F BA /${modrm.reg}`);
+                        }
+                        operation = modrm.reg - 4;
+                        bitOffset = BigInt(this.readInstructionByte());
+                    } else {
+                        operation = (opcode >> 3) & 0x03; // A3 -> 0, AB -> 1, B3 -> 2, BB -> 3
+                        const offsetRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                        // A register bit offset is a signed value
+                        bitOffset = BigInt.asIntN(sizeBytes * 8, this.readRegister(offsetRegName, sizeBytes));
+                    }
+
+                    const result = this.executeBitTest(rmOperand, bitOffset, sizeBytes, operation, opcode !== 0xBA);
+                    const mnemonic = ['BT', 'BTS', 'BTR', 'BTC'][operation];
+                    const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: ${mnemonic} ${rmOperandStr}, ${bitOffset} (CF=${this.flags.cf}) -> 0x${result.toString(16)}`);
+                    return true;
+                }
+
+                // POPCNT (F3 0F B8), TZCNT (F3 0F BC), LZCNT (F3 0F BD), BSF (0F BC), BSR (0F BD)
+                if (opcode === 0xBC || opcode === 0xBD || (opcode === 0xB8 && this.repPrefix === 0xF3)) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = defaultOperandSize;
+                    const destRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    const source = this.readRMOperand(rmOperand, sizeBytes);
+                    const bits = sizeBytes * 8;
+
+                    let mnemonic;
+                    if (this.repPrefix === 0xF3) {
+                        let result;
+                        if (opcode === 0xB8) {
+                            mnemonic = 'POPCNT';
+                            result = 0n;
+                            for (let v = source; v !== 0n; v &= v - 1n) result++;
+                            this.flags.cf = 0;
+                            this.flags.of = 0;
+                            this.flags.sf = 0;
+                            this.flags.af = 0;
+                            this.flags.pf = 0;
+                            this.flags.zf = (source === 0n) ? 1 : 0;
+                        } else {
+                            mnemonic = (opcode === 0xBC) ? 'TZCNT' : 'LZCNT';
+                            result = BigInt(opcode === 0xBC ? CPU.countTrailingZeros(source, bits) : CPU.countLeadingZeros(source, bits));
+                            // CF reports a zero source (result == operand size); ZF reports a zero result.
+                            this.flags.cf = (source === 0n) ? 1 : 0;
+                            this.flags.zf = (result === 0n) ? 1 : 0;
+                        }
+                        this.writeRegister(destRegName, result, sizeBytes);
                     } else {
-                        utils.log(`  Condition Not Met (ZF=0). Not jumping.`);
+                        mnemonic = (opcode === 0xBC) ? 'BSF' : 'BSR';
+                        if (source === 0n) {
+                            // The destination is left unchanged when the source is zero.
+                            this.flags.zf = 1;
+                        } else {
+                            this.flags.zf = 0;
+                            const index = (opcode === 0xBC) ? CPU.countTrailingZeros(source, bits) : bits - 1 - CPU.countLeadingZeros(source, bits);
+                            this.writeRegister(destRegName, BigInt(index), sizeBytes);
+                        }
+                    }
+
+                    const srcStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: ${mnemonic} ${destRegName.toUpperCase()}, ${srcStr} (source 0x${source.toString(16)})`);
+                    return true;
+                }
+
+                // CMPXCHG r/m, reg (0F B0 / 0F B1)
+                if (opcode === 0xB0 || opcode === 0xB1) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = (opcode === 0xB0) ? 1 : defaultOperandSize;
+                    const srcRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                    const accRegName = this.getRegisterString(0, sizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    const source = this.readRegister(srcRegName, sizeBytes);
+                    const accumulator = this.readRegister(accRegName, sizeBytes);
+
+                    let destination;
+                    this.executeLockedUpdate(rmOperand, sizeBytes, (current) => {
+                        destination = current;
+                        // The destination is always written: with the source on success, or with itself on failure.
+                        return (current === accumulator) ? source : current;
+                    });
+                    // Flags are set as for CMP accumulator, destination
+                    const mask = (1n << BigInt(sizeBytes * 8)) - 1n;
+                    this.updateArithmeticFlags((accumulator - destination) & mask, accumulator, destination, sizeBytes, 'sub');
+                    if (destination !== accumulator) {
+                        this.writeRegister(accRegName, destination, sizeBytes);
                     }
+
+                    const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: ${this.lockPrefix ? 'LOCK ' : ''}CMPXCHG ${rmOperandStr}, ${srcRegName.toUpperCase()} (${this.flags.zf ? 'exchanged' : 'compare failed'})`);
                     return true;
                 }
-                // JNE/JNZ (0x0F 85) - near jump with 32-bit displacement
-                if (opcode === 0x85) {
-                    const displacement = this.readSignedImmediate(4); // Read 32-bit signed displacement
-                    utils.log(`Decoded: JNE/JNZ rel32 0x${displacement.toString(16)} (RIP adjusted)`);
-                    if (this.flags.zf === 0) {
-                        this.rip += displacement; // Apply displacement if ZF is clear
-                        utils.log(`  Condition Met (ZF=0). Jumping to 0x${this.rip.toString(16)}`);
+
+                // XADD r/m, reg (0F C0 / 0F C1)
+                if (opcode === 0xC0 || opcode === 0xC1) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = (opcode === 0xC0) ? 1 : defaultOperandSize;
+                    const srcRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    const source = this.readRegister(srcRegName, sizeBytes);
+                    const mask = (1n << BigInt(sizeBytes * 8)) - 1n;
+
+                    let destination;
+                    let sum;
+                    // The register receives the old destination first, so XADD reg, reg with the same register ends with the sum.
+                    this.executeLockedUpdate(rmOperand, sizeBytes, (current) => {
+                        destination = current;
+                        sum = (current + source) & mask;
+                        this.writeRegister(srcRegName, current, sizeBytes);
+                        return sum;
+                    });
+                    this.updateArithmeticFlags(sum, destination, source, sizeBytes, 'add');
+
+                    const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: ${this.lockPrefix ? 'LOCK ' : ''}XADD ${rmOperandStr}, ${srcRegName.toUpperCase()} (0x${destination.toString(16)} + 0x${source.toString(16)} = 0x${sum.toString(16)})`);
+                    return true;
+                }
+
+                // CMPXCHG8B m64 / CMPXCHG16B m128 (0F C7 /1)
+                if (opcode === 0xC7) {
+                    const modrm = this.readModRMByte();
+                    if (modrm.reg !== 1 || modrm.mod === 0x03) {
+                        throw new InvalidOpcodeException(`Invalid encoding 0x0F C7 /${modrm.reg} (mod=${modrm.mod})`);
+                    }
+                    // REX.W selects the 16-byte form; each half is then 64 bits instead of 32.
+                    const halfSize = rex_w ? 8 : 4;
+                    const memOperand = this.resolveModRMOperand(modrm, halfSize * 2, rex_x, rex_b, rexPrefix !== 0);
+                    if (halfSize === 8 && (memOperand.address & 0x0Fn) !== 0n) {
+                        throw new GeneralProtectionException(`CMPXCHG16B operand at 0x${memOperand.address.toString(16)} is not 16-byte aligned`);
+                    }
+                    const lowAddress = memOperand.address;
+                    const highAddress = memOperand.address + BigInt(halfSize);
+                    const [accLow, accHigh, srcLow, srcHigh] = (halfSize === 8) ? ['rax', 'rdx', 'rbx', 'rcx'] : ['eax', 'edx', 'ebx', 'ecx'];
+
+                    // Probe both halves for write access first so a fault cannot split the update.
+                    this.checkSegmentAccess(memOperand.segment, memOperand.offset, halfSize * 2, true);
+                    this.translateVirtualToPhysical(lowAddress, halfSize, 'write');
+                    this.translateVirtualToPhysical(highAddress, halfSize, 'write');
+                    const currentLow = this.readVirtual(lowAddress, halfSize);
+                    const currentHigh = this.readVirtual(highAddress, halfSize);
+                    const matches = currentLow === this.readRegister(accLow, halfSize) && currentHigh === this.readRegister(accHigh, halfSize);
+                    if (matches) {
+                        this.writeVirtual(lowAddress, this.readRegister(srcLow, halfSize), halfSize);
+                        this.writeVirtual(highAddress, this.readRegister(srcHigh, halfSize), halfSize);
                     } else {
-                        utils.log(`  Condition Not Met (ZF=1). Not jumping.`);
+                        // The destination is written back unchanged and the accumulator pair receives it.
+                        this.writeVirtual(lowAddress, currentLow, halfSize);
+                        this.writeVirtual(highAddress, currentHigh, halfSize);
+                        this.writeRegister(accLow, currentLow, halfSize);
+                        this.writeRegister(accHigh, currentHigh, halfSize);
                     }
+                    this.flags.zf = matches ? 1 : 0;
+
+                    utils.log(`Decoded: ${this.lockPrefix ? 'LOCK ' : ''}CMPXCHG${halfSize * 2}B [0x${memOperand.address.toString(16)}] (${matches ? 'exchanged' : 'compare failed'})`);
+                    return true;
+                }
+
+                // IMUL r, r/m (0F AF)
+                if (opcode === 0xAF) {
+                    const modrm = this.readModRMByte();
+                    const sizeBytes = defaultOperandSize;
+                    const destRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+
+                    const multiplier = this.readRMOperand(rmOperand, sizeBytes);
+                    const result = this.executeTruncatedMultiply(this.readRegister(destRegName, sizeBytes), multiplier, sizeBytes);
+                    this.writeRegister(destRegName, result, sizeBytes);
+
+                    const srcStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: IMUL ${destRegName.toUpperCase()}, ${srcStr} -> Result: 0x${result.toString(16)}`);
                     return true;
                 }
+
+                // RDFSBASE/RDGSBASE/WRFSBASE/WRGSBASE (F3 0F AE /0-/3 with a register operand)
+                // Only valid in 64-bit mode with CR4.FSGSBASE set.
+                if (opcode === 0xAE && this.repPrefix === 0xF3 && this.is64BitCode() && (this.cr4 & CPU.CR4_FSGSBASE) !== 0n) {
+                    const modrm = this.readModRMByte();
+                    if (modrm.mod === 3 && modrm.reg <= 3) {
+                        const sizeBytes = rex_w ? 8 : 4;
+                        const regName = this.getRegisterString(modrm.rm + (rex_b << 3), sizeBytes, rexPrefix !== 0);
+                        const baseName = (modrm.reg & 1) ? 'gsBase' : 'fsBase';
+                        const mnemonic = ['RDFSBASE', 'RDGSBASE', 'WRFSBASE', 'WRGSBASE'][modrm.reg];
+
+                        if (modrm.reg < 2) { // RDxSBASE: a 32-bit destination receives the low half, zero-extended
+                            this.writeRegister(regName, this[baseName], sizeBytes);
+                        } else { // WRxSBASE: a 32-bit source is zero-extended into the base
+                            this[baseName] = this.readRegister(regName, sizeBytes);
+                        }
+                        utils.log(`Decoded: ${mnemonic} ${regName.toUpperCase()} (${baseName} = 0x${this[baseName].toString(16)})`);
+                        return true;
+                    }
+                }
+
                 // MOVZX Gv, Eb/Ew (0F B6 / 0F B7)
                 if (opcode === 0xB6 || opcode === 0xB7) {
                     const modrm = this.readModRMByte();
@@ -574,16 +1665,7 @@ export class CPU {
 
                     const rmOperand = this.resolveModRMOperand(modrm, srcSizeBytes, rex_x, rex_b, rexPrefix !== 0);
 
-                    let sourceValue;
-                    if (rmOperand.type === 'reg') {
-                        sourceValue = this.readRegister(rmOperand.name, srcSizeBytes);
-                    } else { // Memory source
-                        if (srcSizeBytes === 1) {
-                            sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        } else { // 2 bytes
-                            sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        }
-                    }
+                    const sourceValue = this.readRMOperand(rmOperand, srcSizeBytes);
 
                     // Write the smaller source value to the larger destination register.
                     // Our writeRegister function already handles the zero-extension correctly!
@@ -596,28 +1678,178 @@ export class CPU {
                     return true;
                 }
 
-                // TODO: Implement other 2-byte Jcc instructions here (e.g., JCC, JNC, JS, JNS, JO, JNO, JP, JNP, JL, JGE, JLE, JG)
-
-                // LGDT and LIDT (0F 01 /2 and /3)
-                if (opcode === 0x01) {
+                // MOVSX Gv, Eb/Ew (0F BE / 0F BF)
+                if (opcode === 0xBE || opcode === 0xBF) {
                     const modrm = this.readModRMByte();
+                    // 0xBE -> byte source, 0xBF -> word source.
+                    const srcSizeBytes = (opcode === 0xBE) ? 1 : 2;
+                    const destSizeBytes = defaultOperandSize;
+                    const destRegName = this.getRegisterString(modrm.reg + (rex_r << 3), destSizeBytes, rexPrefix !== 0);
+                    const rmOperand = this.resolveModRMOperand(modrm, srcSizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    const sourceValue = this.readRMOperand(rmOperand, srcSizeBytes);
 
-                    // LGDT m64 (opcode extension /2)
-                    if (modrm.reg === 2) {
-                        // THIS IS THE CRITICAL LINE
-                        // We MUST call resolveModRMOperand to get the memory address
-                        // AND to advance RIP past the ModR/M and any displacement bytes.
-                        const memOperand = this.resolveModRMOperand(modrm, 8, rex_x, rex_b, rexPrefix !== 0);
-
-                        // Now use the CORRECT address from the operand
-                        const limit = this.readVirtualUint16(memOperand.address);
-                        const base = this.readVirtualBigUint64(memOperand.address + 2n);
+                    // writeRegister truncates the negative BigInt back to the destination width.
+                    this.writeRegister(destRegName, BigInt.asIntN(srcSizeBytes * 8, sourceValue), destSizeBytes);
 
-                        this.gdtr.limit = limit;
-                        this.gdtr.base = base;
+                    const srcStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: MOVSX ${destRegName.toUpperCase()}, ${srcStr}`);
+                    return true;
+                }
 
-                        utils.log(`Decoded: LGDT [0x${memOperand.address.toString(16)}] (Base: 0x${base.toString(16)}, Limit: 0x${limit.toString(16)})`);
-                        return true;
+                // SYSCALL (0F 05) - fast call to the CPL 0 entry point in IA32_LSTAR, or IA32_CSTAR for
+                // compatibility-mode callers. #UD outside long mode, #GP when EFER.SCE is clear.
+                if (opcode === 0x05) {
+                    if (this.mode !== 'long') {
+                        throw new InvalidOpcodeException("SYSCALL outside long mode");
+                    }
+                    if ((this.efer & CPU.EFER_SCE) === 0n) {
+                        throw new GeneralProtectionException("SYSCALL with EFER.SCE clear");
+                    }
+                    const target = this.is64BitCode() ? this.lstar : this.cstar;
+                    // Return address and caller RFLAGS (with RF cleared) are saved in RCX and R11.
+                    this.rcx = this.rip;
+                    this.r11 = this.assembleRFlags() & ~(1n << CPU.FLAG_RF_BIT);
+                    this.disassembleRFlags(this.assembleRFlags() & ~this.fmask & ~(1n << CPU.FLAG_RF_BIT));
+
+                    // CS = STAR[47:32] with RPL 0, SS = the next descriptor (flat 64-bit code and data).
+                    const selectorBase = (this.star >> 32n) & 0xFFFFn;
+                    this.loadFlatSegment('cs', selectorBase & 0xFFFCn, 0xA09B);
+                    this.loadFlatSegment('ss', (selectorBase + 8n) & 0xFFFCn, 0xC093);
+                    this.rip = target;
+                    utils.log(`Decoded: SYSCALL (CS=0x${this.cs.toString(16)}, SS=0x${this.ss.toString(16)}, jumping to 0x${this.rip.toString(16)})`);
+                    return true;
+                }
+
+                // SYSRET (0F 07) - return to CPL 3 at RCX with RFLAGS from R11
+                // REX.W returns to 64-bit code; without it the target is compatibility-mode code at ECX.
+                // #UD outside 64-bit mode, #GP when EFER.SCE is clear.
+                if (opcode === 0x07) {
+                    if (!this.is64BitCode()) {
+                        throw new InvalidOpcodeException("SYSRET outside 64-bit mode");
+                    }
+                    if ((this.efer & CPU.EFER_SCE) === 0n) {
+                        throw new GeneralProtectionException("SYSRET with EFER.SCE clear");
+                    }
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("SYSRET at CPL > 0");
+                    }
+                    const targetRip = rex_w ? this.rcx : (this.rcx & 0xFFFFFFFFn);
+                    if (!CPU.isCanonical(targetRip)) {
+                        throw new GeneralProtectionException(`SYSRET to non-canonical RIP 0x${targetRip.toString(16)}`);
+                    }
+
+                    // CS = STAR[63:48] (+16 for a 64-bit return), SS = STAR[63:48] + 8, both with RPL 3.
+                    const selectorBase = (this.star >> 48n) & 0xFFFFn;
+                    this.loadFlatSegment('cs', ((rex_w ? selectorBase + 16n : selectorBase) & 0xFFFFn) | 3n, rex_w ? 0xA0FB : 0xC0FB);
+                    this.loadFlatSegment('ss', ((selectorBase + 8n) & 0xFFFFn) | 3n, 0xC0F3);
+                    // RF and VM are cleared, bit 1 is forced to 1 by disassembleRFlags/assembleRFlags.
+                    this.disassembleRFlags(this.r11 & ~((1n << CPU.FLAG_RF_BIT) | (1n << CPU.FLAG_VM_BIT)));
+                    this.rip = targetRip;
+                    utils.log(`Decoded: SYSRET${rex_w ? 'Q' : ''} (CS=0x${this.cs.toString(16)}, SS=0x${this.ss.toString(16)}, returning to 0x${this.rip.toString(16)})`);
+                    return true;
+                }
+
+                // CPUID (0F A2) - EAX selects the leaf, ECX the subleaf
+                if (opcode === 0xA2) {
+                    const leaf = Number(this.readRegister('eax', 4));
+                    const subleaf = Number(this.readRegister('ecx', 4));
+                    const result = this.executeCpuid(leaf, subleaf);
+                    this.writeRegister('eax', BigInt(result.eax >>> 0), 4);
+                    this.writeRegister('ebx', BigInt(result.ebx >>> 0), 4);
+                    this.writeRegister('ecx', BigInt(result.ecx >>> 0), 4);
+                    this.writeRegister('edx', BigInt(result.edx >>> 0), 4);
+                    utils.log(`Decoded: CPUID (leaf 0x${leaf.toString(16)}, subleaf 0x${subleaf.toString(16)})`);
+                    return true;
+                }
+
+                // RDTSC (0F 31) - EDX:EAX = time stamp counter
+                if (opcode === 0x31) {
+                    if ((this.cr4 & CPU.CR4_TSD) !== 0n && this.getCPL() > 0) {
+                        throw new GeneralProtectionException("RDTSC with CR4.TSD set at CPL > 0");
+                    }
+                    const tsc = this.readTimeStampCounter();
+                    this.writeRegister('eax', tsc & 0xFFFFFFFFn, 4);
+                    this.writeRegister('edx', tsc >> 32n, 4);
+                    utils.log(`Decoded: RDTSC (0x${tsc.toString(16)})`);
+                    return true;
+                }
+
+                // STR and LTR (0F 00 /1 and /3). The other group members (SLDT, LLDT, VERR, VERW) are not supported.
+                if (opcode === 0x00) {
+                    const modrm = this.readModRMByte();
+                    if (this.mode === 'real' || (modrm.reg !== 1 && modrm.reg !== 3)) {
+                        throw new InvalidOpcodeException(`Unsupported 0F 00 /${modrm.reg}${this.mode === 'real' ? ' in real mode' : ''}`);
+                    }
+
+                    // STR r/m16 (a register destination takes the zero-extended selector at the operand size)
+                    if (modrm.reg === 1) {
+                        const sizeBytes = (modrm.mod === 3) ? defaultOperandSize : 2;
+                        const operand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                        this.writeRMOperand(operand, this.tr.selector, sizeBytes);
+                        utils.log(`Decoded: STR (0x${this.tr.selector.toString(16)})`);
+                        return true;
+                    }
+
+                    // LTR r/m16
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("LTR at CPL > 0");
+                    }
+                    const operand = this.resolveModRMOperand(modrm, 2, rex_x, rex_b, rexPrefix !== 0);
+                    const selector = this.readRMOperand(operand, 2);
+                    this.loadTaskRegister(selector);
+                    utils.log(`Decoded: LTR 0x${selector.toString(16)}`);
+                    return true;
+                }
+
+                // LGDT and LIDT (0F 01 /2 and /3)
+                if (opcode === 0x01) {
+                    const modrm = this.readModRMByte();
+
+                    // SWAPGS (0F 01 F8) - 64-bit mode only
+                    if (modrm.mod === 3 && modrm.reg === 7 && modrm.rm === 0 && this.is64BitCode()) {
+                        if (this.getCPL() !== 0) {
+                            throw new GeneralProtectionException("SWAPGS at CPL > 0");
+                        }
+                        const gsBase = this.gsBase;
+                        this.gsBase = this.kernelGsBase;
+                        this.kernelGsBase = gsBase;
+                        utils.log(`Decoded: SWAPGS (GS base is now 0x${this.gsBase.toString(16)})`);
+                        return true;
+                    }
+
+                    // RDTSCP (0F 01 F9) - RDTSC that also returns IA32_TSC_AUX in ECX
+                    if (modrm.mod === 3 && modrm.reg === 7 && modrm.rm === 1) {
+                        if ((this.cr4 & CPU.CR4_TSD) !== 0n && this.getCPL() > 0) {
+                            throw new GeneralProtectionException("RDTSCP with CR4.TSD set at CPL > 0");
+                        }
+                        const tsc = this.readTimeStampCounter();
+                        this.writeRegister('eax', tsc & 0xFFFFFFFFn, 4);
+                        this.writeRegister('edx', tsc >> 32n, 4);
+                        this.writeRegister('ecx', this.tscAux, 4);
+                        utils.log(`Decoded: RDTSCP (0x${tsc.toString(16)}, TSC_AUX=0x${this.tscAux.toString(16)})`);
+                        return true;
+                    }
+
+                    if ((modrm.reg === 2 || modrm.reg === 3) && this.getCPL() !== 0) {
+                        throw new GeneralProtectionException(`${modrm.reg === 2 ? 'LGDT' : 'LIDT'} at CPL > 0`);
+                    }
+
+                    // LGDT m64 (opcode extension /2)
+                    if (modrm.reg === 2) {
+                        // THIS IS THE CRITICAL LINE
+                        // We MUST call resolveModRMOperand to get the memory address
+                        // AND to advance RIP past the ModR/M and any displacement bytes.
+                        const memOperand = this.resolveModRMOperand(modrm, 8, rex_x, rex_b, rexPrefix !== 0);
+
+                        // Now use the CORRECT address from the operand
+                        const limit = this.readVirtualUint16(memOperand.address);
+                        const base = this.readDescriptorTableBase(memOperand.address + 2n, defaultOperandSize);
+
+                        this.gdtr.limit = limit;
+                        this.gdtr.base = base;
+
+                        utils.log(`Decoded: LGDT [0x${memOperand.address.toString(16)}] (Base: 0x${base.toString(16)}, Limit: 0x${limit.toString(16)})`);
+                        return true;
                     }
                     
                     // LIDT m64 (opcode extension /3)
@@ -627,7 +1859,7 @@ export class CPU {
 
                         // Now use the CORRECT address from the operand
                         const limit = this.readVirtualUint16(memOperand.address);
-                        const base = this.readVirtualBigUint64(memOperand.address + 2n);
+                        const base = this.readDescriptorTableBase(memOperand.address + 2n, defaultOperandSize);
 
                         this.idtr.limit = limit;
                         this.idtr.base = base;
@@ -635,661 +1867,259 @@ export class CPU {
                         utils.log(`Decoded: LIDT [0x${memOperand.address.toString(16)}] (Base: 0x${base.toString(16)}, Limit: 0x${limit.toString(16)})`);
                         return true;
                     }
+
+                    // INVLPG m (opcode extension /7 with a memory operand) - drops the TLB entries for one page
+                    if (modrm.reg === 7 && modrm.mod !== 3) {
+                        if (this.getCPL() !== 0) {
+                            throw new GeneralProtectionException("INVLPG at CPL > 0");
+                        }
+                        const memOperand = this.resolveModRMOperand(modrm, 1, rex_x, rex_b, rexPrefix !== 0);
+                        this.invalidateTlbPage(memOperand.address, true);
+                        utils.log(`Decoded: INVLPG [0x${memOperand.address.toString(16)}]`);
+                        return true;
+                    }
+                }
+
+                // INVPCID r, m128 (66 0F 38 82) - TLB invalidation selected by type (register) and descriptor (memory).
+                // PCIDs are not supported (CR4.PCIDE stays 0), so every translation belongs to PCID 0.
+                if (opcode === 0x38) {
+                    const thirdByte = this.readInstructionByte();
+                    if (thirdByte !== 0x82 || !this.operandSizeOverride) {
+                        throw new InvalidOpcodeException(`Undefined opcode 0F 38 ${thirdByte.toString(16)}`);
+                    }
+                    const modrm = this.readModRMByte();
+                    if (modrm.mod === 3) {
+                        throw new InvalidOpcodeException("INVPCID requires a memory operand");
+                    }
+                    if (this.getCPL() !== 0) {
+                        throw new GeneralProtectionException("INVPCID at CPL > 0");
+                    }
+                    const typeSize = this.is64BitCode() ? 8 : 4;
+                    const type = this.readRegister(this.getRegisterString(modrm.reg + (rex_r << 3), typeSize, rexPrefix !== 0), typeSize);
+                    const memOperand = this.resolveModRMOperand(modrm, 16, rex_x, rex_b, rexPrefix !== 0);
+                    const descriptorLow = this.readRMOperand(memOperand, 8);
+                    const linearAddr = this.readVirtual(memOperand.address + 8n, 8);
+                    const pcid = descriptorLow & 0xFFFn;
+
+                    if (type > 3n || (descriptorLow >> 12n) !== 0n || (type <= 1n && pcid !== 0n) || (type === 0n && !CPU.isCanonical(linearAddr))) {
+                        throw new GeneralProtectionException(`Invalid INVPCID type ${type} or descriptor (PCID 0x${pcid.toString(16)}, address 0x${linearAddr.toString(16)})`);
+                    }
+                    switch (type) {
+                        case 0n: this.invalidateTlbPage(linearAddr, false); break; // One address, global translations kept
+                        case 2n: this.flushTlb(true); break;                        // Everything, including global translations
+                        default: this.flushTlb(false); break;                       // Single context (1) or all contexts (3), globals kept
+                    }
+                    utils.log(`Decoded: INVPCID type ${type} (PCID 0x${pcid.toString(16)}, address 0x${linearAddr.toString(16)})`);
+                    return true;
                 }
 
                 // If a two-byte opcode is not handled here, it's genuinely unknown
-                utils.log(`Unknown 2-byte opcode: 0x0F ${opcode.toString(16)} at 0x${currentRIPBeforeFetch.toString(16)}`);
-                return false; // Or false if you want to halt on unknown 2-byte opcodes
+                throw new InvalidOpcodeException(`Undefined opcode 0F ${opcode.toString(16)}`);
             }
 
             // Priority 2: Handle single-byte opcodes (only if not a two-byte opcode)
 
-            // NOP instruction
-            if (opcode === 0x90) {
-                utils.log("Decoded: NOP");
+            // NOP instruction (0x90 without REX.B; F3 90 is PAUSE, which is also a no-op here)
+            if (opcode === 0x90 && !rex_b) {
+                utils.log(this.repPrefix === 0xF3 ? "Decoded: PAUSE" : "Decoded: NOP");
                 return true;
             }
 
-            // HLT instruction
-            if (opcode === 0xF4) {
-                this.halted = true;
-                utils.log("HLT instruction encountered. Emulation halted.");
-                return true;
-            }
-
-            // Conditional Jumps (short form: Jcc rel8)
-            // These take a 1-byte signed relative displacement.
-            // JE/JZ (0x74)
-            if (opcode === 0x74) {
-                const displacement = this.readSignedImmediate(1); // Read 1-byte signed displacement
-                utils.log(`Decoded: JE/JZ rel8 0x${displacement.toString(16)} (RIP adjusted)`);
-                if (this.flags.zf === 1) {
-                    this.rip += displacement; // Apply displacement if ZF is set
-                    utils.log(`  Condition Met (ZF=1). Jumping to 0x${this.rip.toString(16)}`);
-                } else {
-                    utils.log(`  Condition Not Met (ZF=0). Not jumping.`);
-                }
+            // INC reg (0x40 - 0x47) and DEC reg (0x48 - 0x4F) - outside 64-bit mode, where these bytes are REX prefixes
+            if (opcode >= 0x40 && opcode <= 0x4F) {
+                const sizeBytes = defaultOperandSize;
+                const regName = this.getRegisterString(opcode & 0x07, sizeBytes, false);
+                const originalCF = this.flags.cf; // INC/DEC leave CF unchanged
+                const result = this.executeAluOperation(opcode < 0x48 ? CPU.ALU_ADD : CPU.ALU_SUB, this.readRegister(regName, sizeBytes), 1n, sizeBytes);
+                this.flags.cf = originalCF;
+                this.writeRegister(regName, result, sizeBytes);
+                utils.log(`Decoded: ${opcode < 0x48 ? 'INC' : 'DEC'} ${regName.toUpperCase()}`);
                 return true;
             }
 
-            // JNE/JNZ (0x75)
-            if (opcode === 0x75) {
-                const displacement = this.readSignedImmediate(1); // Read 1-byte signed displacement
-                utils.log(`Decoded: JNE/JNZ rel8 0x${displacement.toString(16)} (RIP adjusted)`);
-                if (this.flags.zf === 0) {
-                    this.rip += displacement; // Apply displacement if ZF is clear
-                    utils.log(`  Condition Met (ZF=0). Jumping to 0x${this.rip.toString(16)}`);
-                } else {
-                    utils.log(`  Condition Not Met (ZF=1). Not jumping.`);
-                }
+            // MOVSXD Gv, Ed (0x63) - 64-bit mode only (elsewhere, compatibility mode included, 0x63 is
+            // ARPL, which is not supported and raises #UD). With REX.W the dword source is sign-extended
+            // to 64 bits. Without it the instruction is a plain 32- or 16-bit move.
+            if (opcode === 0x63 && this.is64BitCode()) {
+                const modrm = this.readModRMByte();
+                const destSizeBytes = defaultOperandSize;
+                const srcSizeBytes = Math.min(destSizeBytes, 4);
+                const destRegName = this.getRegisterString(modrm.reg + (rex_r << 3), destSizeBytes, rexPrefix !== 0);
+                const rmOperand = this.resolveModRMOperand(modrm, srcSizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                const sourceValue = this.readRMOperand(rmOperand, srcSizeBytes);
+                this.writeRegister(destRegName, BigInt.asIntN(srcSizeBytes * 8, sourceValue), destSizeBytes);
+                const srcStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                utils.log(`Decoded: MOVSXD ${destRegName.toUpperCase()}, ${srcStr}`);
                 return true;
             }
 
-            // Universal MOV reg, imm (0xB0 - 0xBF)
-            if (opcode >= 0xB0 && opcode <= 0xBF) {
-                const destRegIdx = (opcode & 0x07) + (rex_b << 3);
-                let sizeBytes;
-
-                if (opcode >= 0xB0 && opcode <= 0xB7) { // 8-bit MOV (B0-B7)
-                    sizeBytes = 1;
-                } else { // 16/32/64-bit MOV (B8-BF)
-                    if (this.mode === 'long') {
-                        sizeBytes = rex_w ? 8 : (this.operandSizeOverride ? 2 : 4);
-                    } else { // Real or Protected mode
-                        // Default is 16-bit. 0x66 prefix makes it 32-bit.
-                        sizeBytes = this.operandSizeOverride ? 4 : 2;
-                    }
-                }
-
-                const destRegName = this.getRegisterString(destRegIdx, sizeBytes, rexPrefix !== 0);
-                const immValue = this.readSignedImmediate(sizeBytes === 8 ? 8 : sizeBytes); // 64-bit imm is 64-bit
-                
-                this.writeRegister(destRegName, immValue, sizeBytes);
-                utils.log(`Decoded: MOV ${destRegName.toUpperCase()}, 0x${immValue.toString(16)}`);
+            // CBW / CWDE / CDQE (0x98) - sign-extend the lower half of the accumulator into all of it
+            if (opcode === 0x98) {
+                const sizeBytes = defaultOperandSize;
+                const halfSize = sizeBytes / 2;
+                const source = this.readRegister(this.getRegisterString(0, halfSize, false), halfSize);
+                const destRegName = this.getRegisterString(0, sizeBytes, false);
+                this.writeRegister(destRegName, BigInt.asIntN(halfSize * 8, source), sizeBytes);
+                utils.log(`Decoded: ${{ 2: 'CBW', 4: 'CWDE', 8: 'CDQE' }[sizeBytes]} (${destRegName.toUpperCase()}=0x${this.readRegister(destRegName, sizeBytes).toString(16)})`);
                 return true;
             }
-            
-            // ADD reg, r/m (0x01 / 0x03)
-            if (opcode === 0x01 || opcode === 0x03) {
-                const modrm = this.readModRMByte();
-                const dBit = (opcode >>> 1) & 0x01; 
-                const wBit = opcode & 0x01;         
-
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
 
-                const regOpFullIndex = modrm.reg + (rex_r << 3);
-                const regOpName = this.getRegisterString(regOpFullIndex, sizeBytes, rexPrefix !== 0); // Pass hasRexPrefix
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0); // Pass hasRexPrefixForNaming
-
-                let sourceValue;
-                let destValue;
-                let destOperand; 
-
-                if (rmOperand.type === 'reg') {
-                    if (dBit === 0) { 
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destOperand = rmOperand; 
-                    } else { 
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName }; 
-                    }
-                } else { 
-                    if (dBit === 0) { 
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) destValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for ADD.");
-                        destOperand = rmOperand; 
-                    } else { 
-                        if (sizeBytes === 1) sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) sourceValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) sourceValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for ADD.");
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName }; 
-                    }
-                }
-                
-                const result = destValue + sourceValue;
-                this.updateArithmeticFlags(result, destValue, sourceValue, sizeBytes, 'add');
-
-                if (destOperand.type === 'reg') {
-                    this.writeRegister(destOperand.name, result, sizeBytes);
-                } else { 
-                    if (sizeBytes === 1) this.writeVirtualUint8(destOperand.address, Number(result));
-                    else if (sizeBytes === 2) this.writeVirtualUint16(destOperand.address, Number(result));
-                    else if (sizeBytes === 4) this.writeVirtualUint32(destOperand.address, Number(result));
-                    else if (sizeBytes === 8) this.writeVirtualBigUint64(destOperand.address, result);
-                    else throw new Error("Unsupported memory write size for ADD.");
-                }
-                utils.log(`Decoded: ADD ${destOperand.type === 'reg' ? destOperand.name.toUpperCase() : `[0x${destOperand.address.toString(16)}]`}, ${sourceValue.toString(16)}${sizeBytes === 8 ? 'n' : ''} -> Result: 0x${result.toString(16)}n`);
+            // CWD / CDQ / CQO (0x99) - fill rDX with the sign bit of rAX
+            if (opcode === 0x99) {
+                const sizeBytes = defaultOperandSize;
+                const accumulator = this.readRegister(this.getRegisterString(0, sizeBytes, false), sizeBytes);
+                const signBit = (accumulator >> BigInt(sizeBytes * 8 - 1)) & 1n;
+                this.writeRegister(this.getRegisterString(2, sizeBytes, false), signBit ? -1n : 0n, sizeBytes);
+                utils.log(`Decoded: ${{ 2: 'CWD', 4: 'CDQ', 8: 'CQO' }[sizeBytes]}`);
                 return true;
             }
 
-            // ADD EAX, imm32 (0x05)
-            if (opcode === 0x05) {
-                const imm32 = this.readSignedImmediate(4);
-                const eaxValue = this.readRegister('eax', 4);
-                const result = eaxValue + imm32;
-                this.updateArithmeticFlags(result, eaxValue, imm32, 4, 'add');
-                this.writeRegister('eax', result, 4);
-                utils.log(`Decoded: ADD EAX, 0x${imm32.toString(16)} (Result: 0x${result.toString(16)})`);
+            // XCHG rAX, reg (0x91 - 0x97, and 0x90 with REX.B for R8)
+            if (opcode >= 0x90 && opcode <= 0x97) {
+                const sizeBytes = defaultOperandSize;
+                const accRegName = this.getRegisterString(0, sizeBytes, rexPrefix !== 0);
+                const otherRegName = this.getRegisterString((opcode & 0x07) + (rex_b << 3), sizeBytes, rexPrefix !== 0);
+                const accValue = this.readRegister(accRegName, sizeBytes);
+                this.writeRegister(accRegName, this.readRegister(otherRegName, sizeBytes), sizeBytes);
+                this.writeRegister(otherRegName, accValue, sizeBytes);
+                utils.log(`Decoded: XCHG ${accRegName.toUpperCase()}, ${otherRegName.toUpperCase()}`);
                 return true;
             }
 
-            // OR reg, r/m; OR r/m, reg (0x09 / 0x0B for 16/32/64-bit, 0x08 / 0x0A for 8-bit)
-            if (opcode >= 0x08 && opcode <= 0x0B) {
+            // XCHG r/m, reg (0x86 / 0x87)
+            // With a memory operand the exchange is locked whether or not a LOCK prefix is present.
+            if (opcode === 0x86 || opcode === 0x87) {
                 const modrm = this.readModRMByte();
-                const dBit = (opcode >>> 1) & 0x01; // Direction bit
-                const wBit = opcode & 0x01;         // Width bit
-
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-
-                const regOpFullIndex = modrm.reg + (rex_r << 3);
-                const regOpName = this.getRegisterString(regOpFullIndex, sizeBytes, rexPrefix !== 0); // Pass hasRexPrefix
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0); // Pass hasRexPrefixForNaming
-
-                let sourceValue;
-                let destValue;
-                let destOperand;
-
-                if (rmOperand.type === 'reg') {
-                    if (dBit === 0) { // OR r/m, reg (reg is source, r/m is dest)
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destOperand = rmOperand;
-                    } else { // OR reg, r/m (r/m is source, reg is dest)
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName };
-                    }
-                } else { // rmOperand.type === 'mem'
-                    if (dBit === 0) { // OR r/m, reg (reg is source, r/m is dest)
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) destValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for OR.");
-                        destOperand = rmOperand;
-                    } else { // OR reg, r/m (r/m is source, reg is dest)
-                        if (sizeBytes === 1) sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) sourceValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) sourceValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for OR.");
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName };
-                    }
-                }
-                
-                const result = destValue | sourceValue; // Perform OR operation
-
-                this.flags.cf = 0; 
-                this.flags.of = 0; 
-                this.flags.zf = (result === 0n) ? 1 : 0; 
-                const bitWidth = BigInt(sizeBytes * 8);
-                const signBitMask = 1n << (bitWidth - 1n);
-                this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0; 
-
-                if (destOperand.type === 'reg') {
-                    this.writeRegister(destOperand.name, result, sizeBytes);
-                } else { 
-                    if (sizeBytes === 1) this.writeVirtualUint8(destOperand.address, Number(result));
-                    else if (sizeBytes === 2) this.writeVirtualUint16(destOperand.address, Number(result));
-                    else if (sizeBytes === 4) this.writeVirtualUint32(destOperand.address, Number(result));
-                    else if (sizeBytes === 8) this.writeVirtualBigUint64(destOperand.address, result);
-                    else throw new Error("Unsupported memory write size for OR.");
-                }
-                const destOperandString = destOperand.type === 'reg' ? destOperand.name.toUpperCase() : `[0x${destOperand.address.toString(16)}]`;
-                const srcOperandString = (dBit === 0) ? regOpName.toUpperCase() : (rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`);
-                utils.log(`Decoded: OR ${destOperandString}, ${srcOperandString} (0x${destValue.toString(16)}n | 0x${sourceValue.toString(16)}n) -> Result: 0x${result.toString(16)}n`);
-                return true;
-            }
-
-            // OR AL/AX/EAX/RAX, imm (0x0C / 0x0D)
-            if (opcode === 0x0C || opcode === 0x0D) {
-                const wBit = opcode & 0x01;
-                
-                // USE the defaultOperandSize calculated at the top of step().
-                // This is the source of truth for the operation's size.
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-
-                const regName = this.getRegisterString(0, sizeBytes, rexPrefix !== 0); // Accumulator
+                const sizeBytes = (opcode === 0x86) ? 1 : defaultOperandSize;
+                const regName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
                 const regValue = this.readRegister(regName, sizeBytes);
-
-                // The immediate value's size matches the operand size,
-                // except in 64-bit mode where it's a 32-bit immediate.
-                const immediateSize = (sizeBytes === 8) ? 4 : sizeBytes;
-                const immediateValue = this.readSignedImmediate(immediateSize);
-
-                const result = regValue | immediateValue;
-
-                // Flag Calculation
-                this.flags.of = 0;
-                this.flags.cf = 0;
-                const bitMask = (1n << BigInt(sizeBytes * 8)) - 1n;
-                this.flags.zf = (result & bitMask) === 0n ? 1 : 0;
-                const signBitMask = 1n << (BigInt(sizeBytes * 8) - 1n);
-                this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0;
-                
-                this.writeRegister(regName, result, sizeBytes);
-
-                utils.log(`Decoded: OR ${regName.toUpperCase()}, 0x${immediateValue.toString(16)}`);
+                let rmValue;
+                this.executeLockedUpdate(rmOperand, sizeBytes, (current) => {
+                    rmValue = current;
+                    return regValue;
+                });
+                this.writeRegister(regName, rmValue, sizeBytes);
+                const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                utils.log(`Decoded: XCHG ${rmOperandStr}, ${regName.toUpperCase()}`);
                 return true;
             }
 
-            // AND reg, r/m; AND r/m, reg (0x21 / 0x23 for 16/32/64-bit, 0x20 / 0x22 for 8-bit)
-            // Note: This block handles AND r/m, reg and AND reg, r/m forms.
-            // Opcodes:
-            // 0x20: AND r/m8, reg8
-            // 0x21: AND r/m16/32/64, reg16/32/64
-            // 0x22: AND reg8, r/m8
-            // 0x23: AND reg16/32/64, r/m16/32/64
-            if (opcode >= 0x20 && opcode <= 0x23) {
-                const modrm = this.readModRMByte();
-                const dBit = (opcode >>> 1) & 0x01; // Direction bit: 0 = r/m <- reg; 1 = reg <- r/m
-                const wBit = opcode & 0x01;         // Width bit: 0 = 8-bit; 1 = 16/32/64-bit
-
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-
-                // Use REX.R for the 'reg' field and REX.B for the 'rm' field in ModR/M
-                const regOpFullIndex = modrm.reg + (rex_r << 3);
-
-                const regOpName = this.getRegisterString(regOpFullIndex, sizeBytes, rexPrefix !== 0); // Pass hasRexPrefix
-                
-                // Resolve rmOperand, noting it might be a register or memory
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0); // Pass hasRexPrefixForNaming
-
-                let sourceValue;
-                let destValue;
-                let destOperand; // This will store where the result should be written
-
-                // Determine source and destination based on D-bit
-                if (dBit === 0) { // AND r/m, reg (reg is source, r/m is dest)
-                    sourceValue = this.readRegister(regOpName, sizeBytes); // Source is the register specified by ModR/M.reg
-                    if (rmOperand.type === 'reg') {
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destOperand = rmOperand;
-                    } else { // Memory destination
-                        if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) destValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for AND (dBit=0).");
-                        destOperand = rmOperand;
-                    }
-                } else { // dBit === 1: AND reg, r/m (r/m is source, reg is dest)
-                    destValue = this.readRegister(regOpName, sizeBytes); // Destination is the register specified by ModR/M.reg
-                    destOperand = { type: 'reg', name: regOpName }; // Set destination for writing
-
-                    if (rmOperand.type === 'reg') {
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                    } else { // Memory source
-                        if (sizeBytes === 1) sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) sourceValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) sourceValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for AND (dBit=1).");
-                    }
-                }
-                
-                const result = destValue & sourceValue; // Perform AND operation
-
-                // For logical operations (AND, OR, XOR), CF and OF are always 0.
-                this.flags.cf = 0;
-                this.flags.of = 0;
-                this.flags.zf = (result === 0n) ? 1 : 0;
-                // SF is set if the most significant bit of the result is 1 (after masking to operand size)
-                const bitWidth = BigInt(sizeBytes * 8);
-                const signBitMask = 1n << (bitWidth - 1n);
-                this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0;
-
-                // Write the result back to the destination operand
-                if (destOperand.type === 'reg') {
-                    this.writeRegister(destOperand.name, result, sizeBytes);
-                } else { // destOperand.type === 'mem'
-                    if (sizeBytes === 1) this.writeVirtualUint8(destOperand.address, Number(result));
-                    else if (sizeBytes === 2) this.writeVirtualUint16(destOperand.address, Number(result));
-                    else if (sizeBytes === 4) this.writeVirtualUint32(destOperand.address, Number(result));
-                    else if (sizeBytes === 8) this.writeVirtualBigUint64(destOperand.address, result);
-                    else throw new Error("Unsupported memory write size for AND.");
+            // HLT instruction
+            if (opcode === 0xF4) {
+                if (this.getCPL() !== 0) {
+                    throw new GeneralProtectionException("HLT at CPL > 0");
                 }
-                
-                // Improved logging for AND
-                const destOperandString = destOperand.type === 'reg' ? destOperand.name.toUpperCase() : `[0x${destOperand.address.toString(16)}]`;
-                const srcOperandString = (dBit === 0) ? regOpName.toUpperCase() : (rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`);
-                utils.log(`Decoded: AND ${destOperandString}, ${srcOperandString} (0x${destValue.toString(16)}n & 0x${sourceValue.toString(16)}n) -> Result: 0x${result.toString(16)}n`);
+                this.halted = true;
+                utils.log("HLT instruction encountered. Emulation halted.");
                 return true;
             }
 
-            // XOR reg, r/m (0x31 / 0x33)
-            if (opcode === 0x31 || opcode === 0x33) {
-                const modrm = this.readModRMByte();
-                const dBit = (opcode >>> 1) & 0x01; 
-                const wBit = opcode & 0x01;         
-
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-
-                const regOpFullIndex = modrm.reg + (rex_r << 3);
-                const regOpName = this.getRegisterString(regOpFullIndex, sizeBytes, rexPrefix !== 0); // Pass hasRexPrefix
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0); // Pass hasRexPrefixForNaming
-
-                let sourceValue;
-                let destValue;
-                let destOperand;
-
-                if (rmOperand.type === 'reg') {
-                    if (dBit === 0) { 
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destOperand = rmOperand;
-                    } else { 
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName };
-                    }
-                } else { 
-                    if (dBit === 0) { 
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) destValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for XOR.");
-                        destOperand = rmOperand;
-                    } else { 
-                        if (sizeBytes === 1) sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) sourceValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) sourceValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for XOR.");
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName };
-                    }
-                }
-                
-                const result = destValue ^ sourceValue; // Perform XOR operation
-
-                this.flags.cf = 0; 
-                this.flags.of = 0; 
-                this.flags.zf = (result === 0n) ? 1 : 0; 
-                this.flags.sf = ((result >> (BigInt(sizeBytes * 8) - 1n)) & 1n) === 1n ? 1 : 0; 
-
-                if (destOperand.type === 'reg') {
-                    this.writeRegister(destOperand.name, result, sizeBytes);
-                } else { 
-                    if (sizeBytes === 1) this.writeVirtualUint8(destOperand.address, Number(result));
-                    else if (sizeBytes === 2) this.writeVirtualUint16(destOperand.address, Number(result));
-                    else if (sizeBytes === 4) this.writeVirtualUint32(destOperand.address, Number(result));
-                    else if (sizeBytes === 8) this.writeVirtualBigUint64(destOperand.address, result);
-                    else throw new Error("Unsupported memory write size for XOR.");
-                }
-                utils.log(`Decoded: XOR ${destOperand.type === 'reg' ? destOperand.name.toUpperCase() : `[0x${destOperand.address.toString(16)}]`}, ${sourceValue.toString(16)}${sizeBytes === 8 ? 'n' : ''} -> Result: 0x${result.toString(16)}n`);
-                return true;
+            // Conditional Jumps (short form: Jcc rel8, 0x70 - 0x7F)
+            // These take a 1-byte signed relative displacement.
+            // The low nibble of the opcode selects the condition code.
+            if (opcode >= 0x70 && opcode <= 0x7F) {
+                const displacement = this.readSignedImmediate(1); // Read 1-byte signed displacement
+                return this.executeConditionalJump(opcode & 0x0F, displacement, 'rel8', this.getNearBranchSize(defaultOperandSize));
             }
 
-            // SUB reg, r/m (0x29 / 0x2B)
-            if (opcode === 0x29 || opcode === 0x2B) {
-                const modrm = this.readModRMByte();
-                const dBit = (opcode >>> 1) & 0x01; // Direction bit
-                const wBit = opcode & 0x01;         // Width bit
-
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
+            // Universal MOV reg, imm (0xB0 - 0xBF)
+            if (opcode >= 0xB0 && opcode <= 0xBF) {
+                const destRegIdx = (opcode & 0x07) + (rex_b << 3);
+                let sizeBytes;
 
-                const regOpFullIndex = modrm.reg + (rex_r << 3);
-                const regOpName = this.getRegisterString(regOpFullIndex, sizeBytes, rexPrefix !== 0); // Pass hasRexPrefix
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0); // Pass hasRexPrefixForNaming
-
-                let sourceValue; // Subtrahend
-                let destValue;   // Minuend
-                let destOperand; 
-
-                if (rmOperand.type === 'reg') {
-                    if (dBit === 0) { // SUB r/m, reg (reg is subtrahend, r/m is minuend/dest)
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destOperand = rmOperand; 
-                    } else { // SUB reg, r/m (r/m is subtrahend, reg is minuend/dest)
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName }; 
-                    }
-                } else { // rmOperand.type === 'mem'
-                    if (dBit === 0) { // SUB r/m, reg (reg is subtrahend, r/m is minuend/dest)
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) destValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for SUB.");
-                        destOperand = rmOperand; 
-                    } else { // SUB reg, r/m (r/m is subtrahend, reg is minuend/dest)
-                        if (sizeBytes === 1) sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) sourceValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) sourceValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for SUB.");
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                        destOperand = { type: 'reg', name: regOpName }; 
-                    }
+                if (opcode >= 0xB0 && opcode <= 0xB7) { // 8-bit MOV (B0-B7)
+                    sizeBytes = 1;
+                } else { // 16/32/64-bit MOV (B8-BF)
+                    sizeBytes = defaultOperandSize;
                 }
+
+                const destRegName = this.getRegisterString(destRegIdx, sizeBytes, rexPrefix !== 0);
+                const immValue = this.readSignedImmediate(sizeBytes === 8 ? 8 : sizeBytes); // 64-bit imm is 64-bit
                 
-                const result = destValue - sourceValue;
-                this.updateArithmeticFlags(result, destValue, sourceValue, sizeBytes, 'sub');
-
-                if (destOperand.type === 'reg') {
-                    this.writeRegister(destOperand.name, result, sizeBytes);
-                } else { // destOperand.type === 'mem'
-                    if (sizeBytes === 1) this.writeVirtualUint8(destOperand.address, Number(result));
-                    else if (sizeBytes === 2) this.writeVirtualUint16(destOperand.address, Number(result));
-                    else if (sizeBytes === 4) this.writeVirtualUint32(destOperand.address, Number(result));
-                    else if (sizeBytes === 8) this.writeVirtualBigUint64(destOperand.address, result);
-                    else throw new Error("Unsupported memory write size for SUB.");
-                }
-                utils.log(`Decoded: SUB ${destOperand.type === 'reg' ? destOperand.name.toUpperCase() : `[0x${destOperand.address.toString(16)}]`}, ${sourceValue.toString(16)}${sizeBytes === 8 ? 'n' : ''} -> Result: 0x${result.toString(16)}n`);
+                this.writeRegister(destRegName, immValue, sizeBytes);
+                utils.log(`Decoded: MOV ${destRegName.toUpperCase()}, 0x${immValue.toString(16)}`);
                 return true;
             }
-
-            // CMP reg, r/m; CMP r/m, reg (0x39 / 0x3B for 32/64-bit, 0x38 / 0x3A for 8-bit)
-            if (opcode >= 0x38 && opcode <= 0x3B) {
-                const modrm = this.readModRMByte();
-                const dBit = (opcode >>> 1) & 0x01; // Direction bit
-                const wBit = opcode & 0x01;         // Width bit
-
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-
-                const regOpFullIndex = modrm.reg + (rex_r << 3);
-                const regOpName = this.getRegisterString(regOpFullIndex, sizeBytes, rexPrefix !== 0); // Pass hasRexPrefix
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0); // Pass hasRexPrefixForNaming
-
-                let sourceValue; // Subtrahend
-                let destValue;   // Minuend
-
-                if (rmOperand.type === 'reg') {
-                    if (dBit === 0) { // CMP r/m, reg (reg is subtrahend, r/m is minuend)
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
-                    } else { // CMP reg, r/m (r/m is subtrahend, reg is minuend)
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                        destValue = this.readRegister(regOpName, sizeBytes);
-                    }
-                } else { // rmOperand.type === 'mem'
-                    if (dBit === 0) { // CMP r/m, reg (reg is subtrahend, r/m is minuend)
-                        sourceValue = this.readRegister(regOpName, sizeBytes);
-                        if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) destValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for CMP.");
-                    } else { // CMP reg, r/m (r/m is subtrahend, reg is minuend)
-                        if (sizeBytes === 1) sourceValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) sourceValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) sourceValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) sourceValue = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for CMP.");
-                        destValue = this.readRegister(regOpName, sizeBytes);
+            
+            // ALU operations ADD/OR/ADC/SBB/AND/SUB/XOR/CMP (0x00 - 0x3D)
+            // Bits 5:3 of the opcode select the operation, bits 2:0 the form:
+            //   0: r/m8, r8    1: r/m, r    2: r8, r/m8    3: r, r/m    4: AL, imm8    5: rAX, imm16/32
+            if (opcode <= 0x3D && (opcode & 0x07) <= 5) {
+                const operation = opcode >> 3;
+                const form = opcode & 0x07;
+                const sizeBytes = (form & 0x01) ? defaultOperandSize : 1;
+                const mnemonic = CPU.ALU_MNEMONICS[operation];
+
+                if (form >= 4) {
+                    // Accumulator, immediate. A 64-bit operation takes a sign-extended imm32.
+                    const accRegName = this.getRegisterString(0, sizeBytes, rexPrefix !== 0);
+                    const immediateValue = this.readSignedImmediate(Math.min(sizeBytes, 4));
+                    const result = this.executeAluOperation(operation, this.readRegister(accRegName, sizeBytes), immediateValue, sizeBytes);
+                    if (operation !== CPU.ALU_CMP) {
+                        this.writeRegister(accRegName, result, sizeBytes);
                     }
+                    utils.log(`Decoded: ${mnemonic} ${accRegName.toUpperCase()}, 0x${BigInt.asUintN(sizeBytes * 8, immediateValue).toString(16)} -> Result: 0x${result.toString(16)}`);
+                    return true;
                 }
-                
-                // Perform the subtraction for flags, but do not write the result back
-                const result = destValue - sourceValue;
-                this.updateArithmeticFlags(result, destValue, sourceValue, sizeBytes, 'sub');
-
-                const destOperandString = (dBit === 0) ? (rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`) : regOpName.toUpperCase();
-                const srcOperandString = (dBit === 0) ? regOpName.toUpperCase() : (rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`);
-                utils.log(`Decoded: CMP ${destOperandString}, ${srcOperandString} (0x${destValue.toString(16)}n - 0x${sourceValue.toString(16)}n)`);
-                return true;
-            }
 
-            // CMP r/m32, imm32 (0x81 /7)
-            if (opcode === 0x81) {
                 const modrm = this.readModRMByte();
-                if (modrm.reg === 7) {
-                    const imm32 = this.readSignedImmediate(4);
-                    let sizeBytes = 4;
-                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                const regName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                const rmStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                const regValue = this.readRegister(regName, sizeBytes);
+                let result;
 
-                    let destValue;
-                    if (rmOperand.type === 'reg') {
-                        destValue = this.readRegister(rmOperand.name, sizeBytes);
+                if (form <= 1) {
+                    // r/m is the destination
+                    if (operation === CPU.ALU_CMP) {
+                        result = this.executeAluOperation(operation, this.readRMOperand(rmOperand, sizeBytes), regValue, sizeBytes);
                     } else {
-                        destValue = BigInt(this.readVirtualUint32(rmOperand.address));
+                        this.executeLockedUpdate(rmOperand, sizeBytes, (current) => {
+                            result = this.executeAluOperation(operation, current, regValue, sizeBytes);
+                            return result;
+                        });
                     }
-                    const result = destValue - imm32;
-                    this.updateArithmeticFlags(result, destValue, imm32, sizeBytes, 'sub');
-                    utils.log(`Decoded: CMP ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`}, 0x${imm32.toString(16)}`);
-                    return true;
+                    utils.log(`Decoded: ${this.lockPrefix ? 'LOCK ' : ''}${mnemonic} ${rmStr}, ${regName.toUpperCase()} -> Result: 0x${result.toString(16)}`);
+                } else {
+                    // The register is the destination
+                    result = this.executeAluOperation(operation, regValue, this.readRMOperand(rmOperand, sizeBytes), sizeBytes);
+                    if (operation !== CPU.ALU_CMP) {
+                        this.writeRegister(regName, result, sizeBytes);
+                    }
+                    utils.log(`Decoded: ${mnemonic} ${regName.toUpperCase()}, ${rmStr} -> Result: 0x${result.toString(16)}`);
                 }
+                return true;
             }
 
             // Group 1 Instructions (ADD, OR, ADC, SBB, AND, SUB, XOR, CMP) with immediate
-            // 0x81: r/m, imm32
+            // 0x80: r/m8, imm8
+            // 0x81: r/m, imm16/imm32 (sign-extended to 64 bits)
+            // 0x82: r/m8, imm8 (alias of 0x80, invalid in 64-bit mode)
             // 0x83: r/m, imm8 (sign-extended)
-            if (opcode === 0x81 || opcode === 0x83) {
+            if (opcode >= 0x80 && opcode <= 0x83) {
+                if (opcode === 0x82 && this.is64BitCode()) {
+                    throw new InvalidOpcodeException("Opcode 0x82 is invalid in 64-bit mode");
+                }
                 const modrm = this.readModRMByte();
-                let sizeBytes = defaultOperandSize;
-
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-
-                // Opcode 0x83 uses a sign-extended 8-bit immediate.
-                // Opcode 0x81 uses a 16/32-bit immediate.
-                const immediateSizeBytes = (opcode === 0x83) ? 1 : (sizeBytes === 2 ? 2 : 4);
+                const sizeBytes = (opcode === 0x81 || opcode === 0x83) ? defaultOperandSize : 1;
+                const immediateSizeBytes = (opcode === 0x81) ? Math.min(sizeBytes, 4) : 1;
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0, immediateSizeBytes);
                 const immediateValue = this.readSignedImmediate(immediateSizeBytes);
-
-                // Read the destination value
-                let destValue;
-                if (rmOperand.type === 'reg') {
-                    destValue = this.readRegister(rmOperand.name, sizeBytes);
-                } else { // Memory
-                    if (sizeBytes === 1) destValue = BigInt(this.readVirtualUint8(rmOperand.address));
-                    else if (sizeBytes === 2) destValue = BigInt(this.readVirtualUint16(rmOperand.address));
-                    else if (sizeBytes === 4) destValue = BigInt(this.readVirtualUint32(rmOperand.address));
-                    else destValue = this.readVirtualBigUint64(rmOperand.address);
-                }
+                const operation = modrm.reg;
 
                 let result;
-                let operation = 'unknown';
-
-                // The 'reg' field selects the operation
-                switch (modrm.reg) {
-                    case 0: // ADD
-                        operation = 'add';
-                        result = destValue + immediateValue;
-                        break;
-                    case 1: // OR
-                        operation = 'or';
-                        result = destValue | immediateValue;
-                        break;
-                    case 2: // ADC
-                        operation = 'adc';
-                        result = destValue + immediateValue + this.flags.cf;
-                        break;
-                    case 3: // SBB
-                        operation = 'sbb';
-                        result = destValue - immediateValue - this.flags.cf;
-                        break;
-                    case 4: // AND
-                        operation = 'and';
-                        result = destValue & immediateValue;
-                        break;
-                    case 5: // SUB
-                        operation = 'sub';
-                        result = destValue - immediateValue;
-                        break;
-                    case 6: // XOR
-                        operation = 'xor';
-                        result = destValue ^ immediateValue;
-                        break;
-                    case 7: // CMP
-                        operation = 'sub'; // CMP performs a subtraction for flags
-                        result = destValue - immediateValue;
-                        break;
-                    default:
-                        throw new Error(`Unsupported Group 1 operation with /reg=${modrm.reg}`);
-                }
-
-                // Update flags based on the operation
-                if (operation === 'add' || operation === 'sub' || operation === 'adc' || operation === 'sbb') {
-                    // For ADC and SBB, the "second operand" is conceptually the immediate value PLUS the carry/borrow.
-                    const effectiveOperand2 = (operation === 'adc' || operation === 'sbb')
-                        ? immediateValue + BigInt(this.flags.cf)
-                        : immediateValue;
-                    
-                    // The operation for flags is always a simple add or sub.
-                    const flagOperation = (operation === 'add' || operation === 'adc') ? 'add' : 'sub';
-
-                    this.updateArithmeticFlags(result, destValue, effectiveOperand2, sizeBytes, flagOperation);
-                } else { // Logical ops (AND, OR, XOR)
-                    this.flags.cf = 0;
-                    this.flags.of = 0;
-                    const bitMask = (1n << BigInt(sizeBytes * 8)) - 1n;
-                    this.flags.zf = (result & bitMask) === 0n ? 1 : 0;
-                    const signBitMask = 1n << (BigInt(sizeBytes * 8) - 1n);
-                    this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0;
-                }
-
-                // For all operations except CMP, write the result back
-                if (modrm.reg !== 7) { // if not CMP
-                    if (rmOperand.type === 'reg') {
-                        this.writeRegister(rmOperand.name, result, sizeBytes);
-                    } else { // Memory
-                        if (sizeBytes === 1) this.writeVirtualUint8(rmOperand.address, Number(result));
-                        else if (sizeBytes === 2) this.writeVirtualUint16(rmOperand.address, Number(result));
-                        else if (sizeBytes === 4) this.writeVirtualUint32(rmOperand.address, Number(result));
-                        else this.writeVirtualBigUint64(rmOperand.address, result);
-                    }
+                if (operation === CPU.ALU_CMP) {
+                    result = this.executeAluOperation(operation, this.readRMOperand(rmOperand, sizeBytes), immediateValue, sizeBytes);
+                } else {
+                    this.executeLockedUpdate(rmOperand, sizeBytes, (current) => {
+                        result = this.executeAluOperation(operation, current, immediateValue, sizeBytes);
+                        return result;
+                    });
                 }
-                
-                const mnemonic = ['ADD', 'OR', 'ADC', 'SBB', 'AND', 'SUB', 'XOR', 'CMP'][modrm.reg];
-                const rmStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
-                utils.log(`Decoded: ${mnemonic} ${rmStr}, 0x${immediateValue.toString(16)}`);
-                return true;
-            }
-
-            // CMP AL/AX/EAX/RAX, imm (0x3C / 0x3D)
-            if (opcode === 0x3C || opcode === 0x3D) {
-                const wBit = opcode & 0x01;
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-
-                const regName = this.getRegisterString(0, sizeBytes, rexPrefix !== 0); // Always AL/AX/EAX/RAX
-                const regValue = this.readRegister(regName, sizeBytes);
-                
-                // Note: Even for CMP RAX, the immediate is only 32 bits and is sign-extended.
-                const immediateSize = (sizeBytes === 1) ? 1 : 4;
-                const immediateValue = this.readSignedImmediate(immediateSize);
-
-                const result = regValue - immediateValue;
-                this.updateArithmeticFlags(result, regValue, immediateValue, sizeBytes, 'sub');
-                
-                // CMP does not store the result, it only sets flags.
 
-                utils.log(`Decoded: CMP ${regName.toUpperCase()}, 0x${immediateValue.toString(16)}`);
+                const rmStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                utils.log(`Decoded: ${this.lockPrefix ? 'LOCK ' : ''}${CPU.ALU_MNEMONICS[operation]} ${rmStr}, 0x${BigInt.asUintN(sizeBytes * 8, immediateValue).toString(16)} -> Result: 0x${result.toString(16)}`);
                 return true;
             }
 
@@ -1314,29 +2144,12 @@ export class CPU {
                     const sourceValue = this.readRegister(regOpName, sizeBytes);
                     utils.log(`  DIRECTION: r/m <- reg. Writing 0x${sourceValue.toString(16)} from ${regOpName}...`);
                     
-                    if (rmOperand.type === 'reg') {
-                        this.writeRegister(rmOperand.name, sourceValue, sizeBytes);
-                    } else { // Memory Destination
-                        utils.log(`  ...to MEMORY at 0x${rmOperand.address.toString(16)}`);
-                        if (sizeBytes === 1) this.writeVirtualUint8(rmOperand.address, sourceValue);
-                        else if (sizeBytes === 2) this.writeVirtualUint16(rmOperand.address, sourceValue);
-                        else if (sizeBytes === 4) this.writeVirtualUint32(rmOperand.address, sourceValue);
-                        else this.writeVirtualBigUint64(rmOperand.address, sourceValue);
-                    }
+                    this.writeRMOperand(rmOperand, sourceValue, sizeBytes);
                 } else { // dBit === 1, Direction: reg <- r/m
                     const destRegName = regOpName;
-                    let sourceValue;
-                    
                     utils.log(`  DIRECTION: reg <- r/m. Reading from r/m operand...`);
 
-                    if (rmOperand.type === 'reg') {
-                        sourceValue = this.readRegister(rmOperand.name, sizeBytes);
-                    } else { // Memory Source
-                        sourceValue = sizeBytes === 1 ? BigInt(this.readVirtualUint8(rmOperand.address))
-                                    : sizeBytes === 2 ? BigInt(this.readVirtualUint16(rmOperand.address))
-                                    : sizeBytes === 4 ? BigInt(this.readVirtualUint32(rmOperand.address))
-                                    : this.readVirtualBigUint64(rmOperand.address);
-                    }
+                    const sourceValue = this.readRMOperand(rmOperand, sizeBytes);
                     
                     utils.log(`  Read value 0x${sourceValue.toString(16)} from r/m. Writing to ${destRegName}.`);
                     this.writeRegister(destRegName, sourceValue, sizeBytes);
@@ -1351,7 +2164,7 @@ export class CPU {
             if (opcode === 0xC6 || opcode === 0xC7) {
                 const modrm = this.readModRMByte();
                 if (modrm.reg !== 0) { // /0 opcode extension
-                    throw new Error(`Invalid ModR/M reg field for MOV r/m, imm: ${modrm.reg}`);
+                    throw new InvalidOpcodeException(`Undefined opcode ${opcode.toString(16)} /${modrm.reg}`);
                 }
 
                 const wBit = opcode & 0x01;
@@ -1359,60 +2172,55 @@ export class CPU {
                 
                 // In 64-bit mode, a 32-bit destination with C7 is the default.
                 // REX.W promotes it to 64-bit.
-                if (this.mode === 'long' && wBit === 1 && !rex_w) {
+                if (this.is64BitCode() && wBit === 1 && !rex_w) {
                     destSizeBytes = 4;
                 }
 
-                const rmOperand = this.resolveModRMOperand(modrm, destSizeBytes, rex_x, rex_b, rexPrefix !== 0);
-
                 // Determine immediate size. For 64-bit destinations, it's a 32-bit immediate.
                 const immediateSizeBytes = (destSizeBytes === 8) ? 4 : destSizeBytes;
+                const rmOperand = this.resolveModRMOperand(modrm, destSizeBytes, rex_x, rex_b, rexPrefix !== 0, immediateSizeBytes);
+
                 const immediateValue = this.readSignedImmediate(immediateSizeBytes);
 
-                // Write the value to the destination
-                if (rmOperand.type === 'reg') {
-                    this.writeRegister(rmOperand.name, immediateValue, destSizeBytes);
-                } else { // Memory Destination
-                    if (destSizeBytes === 1) {
-                        this.writeVirtualUint8(rmOperand.address, Number(immediateValue));
-                    } else if (destSizeBytes === 2) {
-                        this.writeVirtualUint16(rmOperand.address, Number(immediateValue));
-                    } else if (destSizeBytes === 4) {
-                        this.writeVirtualUint32(rmOperand.address, Number(immediateValue));
-                    } else { // 8 bytes (qword)
-                        // The immediate is 32-bit but needs to be sign-extended to 64-bit
-                        const finalValue = BigInt.asIntN(32, immediateValue);
-                        this.writeVirtualBigUint64(rmOperand.address, finalValue);
-                    }
-                }
+                // Write the value to the destination (a qword destination gets the sign-extended imm32)
+                this.writeRMOperand(rmOperand, immediateValue, destSizeBytes);
                 
                 const destStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `${destSizeBytes === 1 ? "BYTE" : destSizeBytes === 2 ? "WORD" : destSizeBytes === 4 ? "DWORD" : "QWORD"} [0x${rmOperand.address.toString(16)}]`;
                 utils.log(`Decoded: MOV ${destStr}, 0x${immediateValue.toString(16)}`);
                 return true;
             }
 
+            // MOV r/m16, SR (0x8C /r) - a register destination is zero-extended to the operand size
+            if (opcode === 0x8C) {
+                const modrm = this.readModRMByte();
+                const sregName = CPU.SEGMENT_REGISTERS[modrm.reg];
+                if (!sregName) {
+                    throw new InvalidOpcodeException(`Invalid segment register index for MOV r/m, Sreg: ${modrm.reg}`);
+                }
+                const sizeBytes = (modrm.mod === 0x03) ? defaultOperandSize : 2;
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                this.writeRMOperand(rmOperand, this[sregName], sizeBytes);
+                utils.log(`Decoded: MOV ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`}, ${sregName.toUpperCase()}`);
+                return true;
+            }
+
             // MOV SR, r/m16 (0x8E /r)
             if (opcode === 0x8E) {
                 const modrm = this.readModRMByte();
             
-                const segmentRegs = ['es', 'cs', 'ss', 'ds', 'fs', 'gs'];
-                const sregName = segmentRegs[modrm.reg];
+                const sregName = CPU.SEGMENT_REGISTERS[modrm.reg];
             
-                if (!sregName) {
-                    throw new Error(`Invalid segment register index: ${modrm.reg}`);
+                // CS can only be loaded by far transfers
+                if (!sregName || sregName === 'cs') {
+                    throw new InvalidOpcodeException(`Invalid segment register index for MOV Sreg: ${modrm.reg}`);
                 }
             
                 const rmOperand = this.resolveModRMOperand(modrm, 2, rex_x, rex_b, rexPrefix !== 0);
             
-                let value;
-                if (rmOperand.type === 'reg') {
-                    value = Number(this.readRegister(rmOperand.name, 2)); // value is 16-bit number
-                } else {
-                    value = this.readVirtualUint16(rmOperand.address);
-                }
+                const value = this.readRMOperand(rmOperand, 2);
             
-                // Write value into the segment register (16-bit)
-                this.writeRegister(sregName, BigInt(value), 2);
+                // Load the selector and the segment's hidden base/limit
+                this.loadSegmentRegister(sregName, value);
             
                 utils.log(`Decoded: MOV ${sregName.toUpperCase()}, ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} (0x${value.toString(16)})`);
                 return true;
@@ -1420,76 +2228,29 @@ export class CPU {
 
             // PUSH reg (0x50 - 0x57)
             if (opcode >= 0x50 && opcode <= 0x57) {
-                // The operand size is determined by the effective default size.
-                // In Real/Protected mode, it's 16/32. In Long mode, it's always 64.
-                const sizeBytes = (this.mode === 'long') ? 8 : defaultOperandSize;
-
-                const regIdx = (opcode - 0x50) + (rex_b << 3);
-                // Use the full 64-bit register name even for 16/32-bit pushes
-                // because we read the value from the full register.
-                const regName = this.getRegisterString(regIdx, 8, rexPrefix !== 0);
-                const value = this.readRegister(regName, sizeBytes);
-
-                this.rsp -= BigInt(sizeBytes);
-                
-                if (sizeBytes === 2) {
-                    this.writeVirtualUint16(this.rsp, value);
-                } else if (sizeBytes === 4) {
-                    this.writeVirtualUint32(this.rsp, value);
-                } else { // 8 bytes
-                    this.writeVirtualBigUint64(this.rsp, value);
-                }
+                // In Real/Protected mode the size is 16/32. In Long mode it's 64 (16 with a 0x66 prefix).
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                const regName = this.getRegisterString((opcode - 0x50) + (rex_b << 3), sizeBytes, rexPrefix !== 0);
+                this.pushStack(this.readRegister(regName, sizeBytes), sizeBytes);
+                utils.log(`Decoded: PUSH ${regName.toUpperCase()}`);
+                return true;
+            }
 
-                utils.log(`Decoded: PUSH ${this.getRegisterString(regIdx, sizeBytes, rexPrefix !== 0).toUpperCase()}`);
+            // PUSH imm (0x6A with a sign-extended imm8, 0x68 with imm16/imm32)
+            if (opcode === 0x6A || opcode === 0x68) {
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                // A 64-bit push takes a sign-extended imm32.
+                const immediateValue = this.readSignedImmediate(opcode === 0x6A ? 1 : Math.min(sizeBytes, 4));
+                this.pushStack(immediateValue, sizeBytes);
+                utils.log(`Decoded: PUSH 0x${BigInt.asUintN(sizeBytes * 8, immediateValue).toString(16)}`);
                 return true;
             }
 
-            // PUSH r/m (0xFF /6)
-            if (opcode === 0xFF) {
-                const modrm = this.readModRMByte();
-                if (modrm.reg === 6) { // PUSH r/m
-                    let sizeBytes = defaultOperandSize;
-                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-                    
-                    let value;
-                    if (rmOperand.type === 'reg') {
-                        value = this.readRegister(rmOperand.name, sizeBytes);
-                    } else {
-                        if (sizeBytes === 1) value = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) value = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) value = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) value = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for PUSH r/m.");
-                    }
-                    utils.log(`PUSH ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} - RSP Before: 0x${this.rsp.toString(16)}`);
-                    this.rsp -= BigInt(sizeBytes);
-                    this.writeVirtualBigUint64(this.rsp, value);
-                    
-                    utils.log(`Decoded: PUSH ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} (0x${value.toString(16)}n)`);
-                    utils.log(`PUSH ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} - RSP After: 0x${this.rsp.toString(16)}`);
-                    return true;
-                }
-            }
-
             // POP reg (0x58 - 0x5F)
             if (opcode >= 0x58 && opcode <= 0x5F) {
-                const sizeBytes = (this.mode === 'long') ? 8 : defaultOperandSize;
-
-                const regIdx = (opcode - 0x58) + (rex_b << 3);
-                const regName = this.getRegisterString(regIdx, sizeBytes, rexPrefix !== 0);
-                
-                let value;
-                if (sizeBytes === 2) {
-                    value = this.readVirtualUint16(this.rsp);
-                } else if (sizeBytes === 4) {
-                    value = this.readVirtualUint32(this.rsp);
-                } else { // 8 bytes
-                    value = this.readVirtualBigUint64(this.rsp);
-                }
-
-                this.writeRegister(regName, value, sizeBytes);
-                this.rsp += BigInt(sizeBytes);
-                
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                const regName = this.getRegisterString((opcode - 0x58) + (rex_b << 3), sizeBytes, rexPrefix !== 0);
+                this.writeRegister(regName, this.popStack(sizeBytes), sizeBytes);
                 utils.log(`Decoded: POP ${regName.toUpperCase()}`);
                 return true;
             }
@@ -1497,110 +2258,214 @@ export class CPU {
             // POP r/m (0x8F /0)
             if (opcode === 0x8F) {
                 const modrm = this.readModRMByte();
-                if (modrm.reg === 0) { // POP r/m
-                    let sizeBytes = defaultOperandSize;
+                if (modrm.reg !== 0) {
+                    throw new InvalidOpcodeException(`Invalid encoding 0x8F /${modrm.reg}`);
+                }
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                // RSP is incremented before the destination address is computed (POP [RSP] uses the new value),
+                // but is restored if the store faults.
+                const oldRsp = this.rsp;
+                const value = this.popStack(sizeBytes);
+                try {
                     const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-                    
-                    utils.log(`POP ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} - RSP Before: 0x${this.rsp.toString(16)}`);
-                    this.rsp += BigInt(sizeBytes);
-                    this.writeRegister(rmOperand.name, value, sizeBytes);
+                    this.writeRMOperand(rmOperand, value, sizeBytes);
+                    utils.log(`Decoded: POP ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} (0x${value.toString(16)})`);
+                } catch (e) {
+                    this.rsp = oldRsp;
+                    throw e;
+                }
+                return true;
+            }
 
-                    let value;
-                    if (rmOperand.type === 'reg') {
-                        value = this.readRegister(rmOperand.name, sizeBytes);
-                    } else {
-                        if (sizeBytes === 1) value = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) value = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) value = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) value = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for POP r/m.");
-                    }
+            // PUSHF/PUSHFD/PUSHFQ (0x9C)
+            if (opcode === 0x9C) {
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                // VM and RF always read as 0 in the pushed image.
+                const image = this.assembleRFlags() & ~((1n << CPU.FLAG_VM_BIT) | (1n << CPU.FLAG_RF_BIT));
+                this.pushStack(image, sizeBytes);
+                utils.log(`Decoded: PUSHF (0x${image.toString(16)})`);
+                return true;
+            }
 
-                    utils.log(`Decoded: POP ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} (0x${value.toString(16)}n)`);
-                    utils.log(`POP ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} - RSP After: 0x${this.rsp.toString(16)}`);
-                    return true;
+            // POPF/POPFD/POPFQ (0x9D)
+            if (opcode === 0x9D) {
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                const value = this.popStack(sizeBytes);
+                this.loadRFlagsFromPopf(value, sizeBytes);
+                utils.log(`Decoded: POPF (0x${value.toString(16)} -> RFLAGS=0x${this.assembleRFlags().toString(16)})`);
+                return true;
+            }
+
+            // ENTER imm16, imm8 (0xC8) - create a stack frame with `level` nested frame pointers
+            if (opcode === 0xC8) {
+                const allocSize = BigInt(this.readInstructionUint16());
+                const level = this.readInstructionByte() & 0x1F;
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                const stackAddressSize = this.getStackAddressSize();
+                const bpName = this.getRegisterString(5, stackAddressSize, false);
+                const spName = this.getRegisterString(4, stackAddressSize, false);
+                const addressMask = (1n << BigInt(stackAddressSize * 8)) - 1n;
+
+                this.pushStack(this.readRegister(this.getRegisterString(5, sizeBytes, false), sizeBytes), sizeBytes);
+                const frameTemp = this.readRegister(spName, stackAddressSize);
+
+                if (level > 0) {
+                    // Copy the enclosing frames' pointers from the old frame, then push the new one.
+                    let framePointer = this.readRegister(bpName, stackAddressSize);
+                    for (let i = 1; i < level; i++) {
+                        framePointer = (framePointer - BigInt(sizeBytes)) & addressMask;
+                        this.pushStack(this.readVirtual(framePointer + this.getSegmentBase('ss'), sizeBytes), sizeBytes);
+                    }
+                    this.pushStack(frameTemp, sizeBytes);
                 }
+
+                this.writeRegister(bpName, frameTemp, stackAddressSize);
+                this.writeRegister(spName, (this.readRegister(spName, stackAddressSize) - allocSize) & addressMask, stackAddressSize);
+                utils.log(`Decoded: ENTER 0x${allocSize.toString(16)}, ${level}`);
+                return true;
             }
 
-            // CALL rel32 (0xE8) - Near, relative, 32-bit displacement
-            if (opcode === 0xE8) {
-                // The instruction is 5 bytes long: 1 for the opcode (E8) + 4 for the displacement.
-                const instructionLength = 5n;
+            // LEAVE (0xC9) - rSP = rBP, then pop rBP
+            if (opcode === 0xC9) {
+                const sizeBytes = this.getStackOperandSize(defaultOperandSize);
+                const stackAddressSize = this.getStackAddressSize();
+                const spName = this.getRegisterString(4, stackAddressSize, false);
+                const oldSp = this.readRegister(spName, stackAddressSize);
+                this.writeRegister(spName, this.readRegister(this.getRegisterString(5, stackAddressSize, false), stackAddressSize), stackAddressSize);
+                try {
+                    this.writeRegister(this.getRegisterString(5, sizeBytes, false), this.popStack(sizeBytes), sizeBytes);
+                } catch (e) {
+                    this.writeRegister(spName, oldSp, stackAddressSize);
+                    throw e;
+                }
+                utils.log("Decoded: LEAVE");
+                return true;
+            }
 
-                // The return address is ALWAYS the address of the instruction AFTER this one.
-                // We use currentRIPBeforeFetch as our stable anchor to calculate this.
-                const retAddr = currentRIPBeforeFetch + instructionLength;
+            // LAHF (0x9F) - AH = SF:ZF:0:AF:0:PF:1:CF
+            if (opcode === 0x9F) {
+                this.writeRegister('ah', this.assembleRFlags() & 0xFFn, 1);
+                utils.log("Decoded: LAHF");
+                return true;
+            }
 
-                // Now, read the displacement from the stream. This will advance the real 'this.rip'.
-                const displacement = this.readSignedImmediate(4);
+            // SAHF (0x9E) - load SF, ZF, AF, PF and CF from AH
+            if (opcode === 0x9E) {
+                const ah = this.readRegister('ah', 1);
+                this.flags.sf = Number((ah >> CPU.FLAG_SF_BIT) & 1n);
+                this.flags.zf = Number((ah >> CPU.FLAG_ZF_BIT) & 1n);
+                this.flags.af = Number((ah >> CPU.FLAG_AF_BIT) & 1n);
+                this.flags.pf = Number((ah >> CPU.FLAG_PF_BIT) & 1n);
+                this.flags.cf = Number((ah >> CPU.FLAG_CF_BIT) & 1n);
+                utils.log("Decoded: SAHF");
+                return true;
+            }
 
-                // The jump target is the return address + the displacement.
-                const newRip = retAddr + displacement;
+            // CLC (0xF8), STC (0xF9), CMC (0xF5)
+            if (opcode === 0xF8 || opcode === 0xF9 || opcode === 0xF5) {
+                this.flags.cf = (opcode === 0xF8) ? 0 : (opcode === 0xF9) ? 1 : this.flags.cf ^ 1;
+                utils.log(`Decoded: ${{ 0xF8: 'CLC', 0xF9: 'STC', 0xF5: 'CMC' }[opcode]}`);
+                return true;
+            }
 
-                // Push the return address to the stack.
-                this.rsp -= 8n;
-                this.writeVirtualBigUint64(this.rsp, retAddr);
+            // CLD (0xFC), STD (0xFD)
+            if (opcode === 0xFC || opcode === 0xFD) {
+                this.flags.df = opcode & 0x01;
+                utils.log(`Decoded: ${opcode === 0xFC ? 'CLD' : 'STD'}`);
+                return true;
+            }
 
-                // Set RIP to the target function's address.
-                this.rip = newRip;
+            // CALL rel16/rel32 (0xE8) - Near, relative
+            if (opcode === 0xE8) {
+                const branchSize = this.getNearBranchSize(defaultOperandSize);
+                // The displacement is 16 bits only for 16-bit operand size outside long mode.
+                const displacement = this.readSignedImmediate(branchSize === 2 ? 2 : 4);
+
+                // The return address is the address of the instruction AFTER this one,
+                // which is where RIP points now that the displacement has been read.
+                const retAddr = this.rip;
+                const target = this.branchTarget(retAddr + displacement, branchSize);
+                this.pushStack(retAddr, branchSize);
+                this.rip = target;
+
+                utils.log(`Decoded: CALL rel (Jumping to 0x${this.rip.toString(16)}, Return Address: 0x${retAddr.toString(16)})`);
+                return true;
+            }
 
-                utils.log(`Decoded: CALL rel32 (Jumping to 0x${newRip.toString(16)}, Return Address: 0x${retAddr.toString(16)})`);
+            // JMP rel16/rel32 (0xE9) - Near, relative
+            if (opcode === 0xE9) {
+                const branchSize = this.getNearBranchSize(defaultOperandSize);
+                const displacement = this.readSignedImmediate(branchSize === 2 ? 2 : 4);
+                this.branchTo(this.rip + displacement, branchSize);
+                utils.log(`Decoded: JMP rel 0x${displacement.toString(16)} (Jumping to 0x${this.rip.toString(16)})`);
                 return true;
             }
 
-            // CALL r/m (0xFF /2) - Near, absolute, indirect
-            if (opcode === 0xFF) {
-                const modrm = this.readModRMByte();
-                if (modrm.reg === 2) { // opcode extension /2
-                    let sizeBytes = defaultOperandSize;
-                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-                    
-                    let tgtAddr;
-                    if (rmOperand.type === 'reg') {
-                        tgtAddr = this.readRegister(rmOperand.name, sizeBytes);
-                    } else {
-                        if (sizeBytes === 1) tgtAddr = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) tgtAddr = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) tgtAddr = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else if (sizeBytes === 8) tgtAddr = this.readVirtualBigUint64(rmOperand.address);
-                        else throw new Error("Unsupported memory read size for CALL r/m.");
-                    }
-                    
-                    const retAddr = this.rip;
-                    utils.log(`CALL r/m - RSP Before: 0x${this.rsp.toString(16)}`);
-                    this.rsp -= 8n;
-                    this.writeVirtualBigUint64(this.rsp, retAddr);
-                    this.rip = tgtAddr;
-
-                    utils.log(`Decoded: CALL ${rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`} (Indirect, jumping to 0x${this.rip.toString(16)})`);
-                    utils.log(`CALL r/m - RSP After: 0x${this.rsp.toString(16)}`);
-                    return true;
+            // RET (0xC3) and RET imm16 (0xC2) - Near return, optionally releasing imm16 bytes of arguments
+            if (opcode === 0xC3 || opcode === 0xC2) {
+                const releaseBytes = (opcode === 0xC2) ? BigInt(this.readInstructionUint16()) : 0n;
+                const branchSize = this.getNearBranchSize(defaultOperandSize);
+                const savedRsp = this.rsp;
+                const retAddr = this.popStack(branchSize);
+                this.releaseStack(releaseBytes);
+                try {
+                    this.branchTo(retAddr, branchSize);
+                } catch (e) {
+                    this.rsp = savedRsp; // A rejected return address stays on the stack
+                    throw e;
                 }
+
+                utils.log(`Decoded: RET${opcode === 0xC2 ? ` 0x${releaseBytes.toString(16)}` : ''} (Near, jumping to 0x${this.rip.toString(16)})`);
+                return true;
             }
 
-            // RET (0xC3) - Near return
-            if (opcode === 0xC3) {
-                utils.log(`RET - RSP Before: 0x${this.rsp.toString(16)}`);
-                const retAddr = this.readVirtualBigUint64(this.rsp);
-                this.rsp += 8n;
-                this.rip = retAddr;
+            // RETF (0xCB) and RETF imm16 (0xCA) - Far return: pop rIP, then CS. A return to a less privileged
+            // level (CS.RPL > CPL) also pops rSP and SS, and imm16 is released from both stacks.
+            if (opcode === 0xCB || opcode === 0xCA) {
+                const releaseBytes = (opcode === 0xCA) ? BigInt(this.readInstructionUint16()) : 0n;
+                const sizeBytes = this.is64BitCode() ? (rex_w ? 8 : 4) : defaultOperandSize;
+                const oldCpl = this.getCPL();
+                const saved = this.saveStackAndCodeSegments();
+                const offset = this.popStack(sizeBytes);
+                const selector = this.popStack(sizeBytes) & 0xFFFFn;
+                const newCpl = (this.mode === 'real') ? 0 : Number(selector & 3n);
+                try {
+                    if (newCpl < oldCpl) {
+                        throw new GeneralProtectionException(`RETF to CPL ${newCpl} from CPL ${oldCpl}`, Number(selector & 0xFFFCn));
+                    }
+                    this.releaseStack(releaseBytes);
+                    const newSp = (newCpl > oldCpl) ? this.popStack(sizeBytes) : null;
+                    const newSs = (newCpl > oldCpl) ? this.popStack(sizeBytes) & 0xFFFFn : null;
+                    this.loadCodeSegment(selector, newCpl);
+                    this.updateCPUMode();
+                    if (newCpl > oldCpl) {
+                        this.loadSegmentRegister('ss', newSs);
+                        this.rsp = newSp;
+                        this.releaseStack(releaseBytes);
+                    }
+                    this.branchTo(offset, sizeBytes);
+                } catch (e) {
+                    this.restoreStackAndCodeSegments(saved); // A rejected return leaves the frame on the stack
+                    throw e;
+                }
+                if (newCpl > oldCpl) {
+                    this.nullInaccessibleDataSegments(newCpl);
+                }
 
-                utils.log(`Decoded: RET (Near, jumping to 0x${this.rip.toString(16)})`);
-                utils.log(`RET - RSP After: 0x${this.rsp.toString(16)}`);
+                utils.log(`Decoded: RETF${opcode === 0xCA ? ` 0x${releaseBytes.toString(16)}` : ''} (jumping to 0x${selector.toString(16)}:0x${this.rip.toString(16)})`);
                 return true;
             }
 
-            // RET imm16 (0xC2) - Near, return with immediate
-            if (opcode === 0xC2) {
-                const imm16 = this.readSignedImmediate(2);
-                utils.log(`RET imm16 - RSP Before: 0x${this.rsp.toString(16)}`);
-                const retAddr = this.readVirtualBigUint64(this.rsp);
-                this.rsp += 8n;
-                this.rip = retAddr;
-                this.rsp += BigInt(imm16);
+            // CALL ptr16:16 / ptr16:32 (0x9A) - Far, absolute (invalid in 64-bit mode)
+            if (opcode === 0x9A) {
+                if (this.is64BitCode()) {
+                    throw new InvalidOpcodeException("Far CALL ptr16:16/32 is invalid in 64-bit mode");
+                }
+                const offset = (defaultOperandSize === 2) ? BigInt(this.readInstructionUint16()) : BigInt(this.readInstructionUint32());
+                const selector = BigInt(this.readInstructionUint16());
+                this.farCall(selector, offset, defaultOperandSize);
 
-                utils.log(`Decoded: RET imm16 (jumping to 0x${this.rip.toString(16)}, stack adjust by 0x${imm16.toString(16)})`);
-                utils.log(`RET imm16 - RSP After: 0x${this.rsp.toString(16)}`);
+                utils.log(`Decoded: CALL far 0x${selector.toString(16)}:0x${offset.toString(16)}`);
                 return true;
             }
 
@@ -1609,7 +2474,7 @@ export class CPU {
                 const modrm = this.readModRMByte();
                 // LEA only works with memory sources, so mod must not be 3
                 if (modrm.mod === 3) {
-                    throw new Error("Invalid use of LEA with register source.");
+                    throw new InvalidOpcodeException("LEA with a register source");
                 }
 
                 let sizeBytes = defaultOperandSize;
@@ -1621,7 +2486,7 @@ export class CPU {
 
                 // Here's the magic: we use resolveModRMOperand to get the address
                 const memOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-                const effectiveAddress = memOperand.address;
+                const effectiveAddress = memOperand.offset; // The offset only: LEA never applies a segment base
 
                 // ...but we write the address itself to the destination register.
                 this.writeRegister(destRegName, effectiveAddress, sizeBytes);
@@ -1643,24 +2508,12 @@ export class CPU {
                 let val1, val2;
                 val1 = this.readRegister(regOpName, sizeBytes); // Operand from reg field
 
-                if (rmOperand.type === 'reg') {
-                    val2 = this.readRegister(rmOperand.name, sizeBytes);
-                } else { // Memory operand
-                    if (sizeBytes === 1) val2 = BigInt(this.readVirtualUint8(rmOperand.address));
-                    else if (sizeBytes === 2) val2 = BigInt(this.readVirtualUint16(rmOperand.address));
-                    else if (sizeBytes === 4) val2 = BigInt(this.readVirtualUint32(rmOperand.address));
-                    else val2 = this.readVirtualBigUint64(rmOperand.address);
-                }
+                val2 = this.readRMOperand(rmOperand, sizeBytes);
 
                 const result = val1 & val2;
 
                 // TEST sets flags based on the result but doesn't store it
-                this.flags.cf = 0;
-                this.flags.of = 0;
-                this.flags.zf = (result === 0n) ? 1 : 0;
-                const signBitMask = 1n << (BigInt(sizeBytes * 8) - 1n);
-                this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0;
-                // Parity Flag (PF) is also affected, but you can add that later.
+                this.updateArithmeticFlags(result, val1, val2, sizeBytes, 'and');
 
                 const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
                 utils.log(`Decoded: TEST ${rmOperandStr}, ${regOpName.toUpperCase()}`);
@@ -1674,13 +2527,8 @@ export class CPU {
                 const result = alValue & imm8;
 
                 // TEST instruction updates flags but does not store the result.
-                // It performs a bitwise AND and sets flags based on the outcome.
-                this.flags.cf = 0; // Cleared by TEST
-                this.flags.of = 0; // Cleared by TEST
-
-                this.flags.zf = (result === 0n) ? 1 : 0;
-                this.flags.sf = ((result & 0x80n) !== 0n) ? 1 : 0;
-                // Note: Parity Flag (PF) is also affected but not implemented here.
+                // It performs a bitwise AND and sets flags based on the outcome (CF and OF are cleared).
+                this.updateArithmeticFlags(result, alValue, imm8, 1, 'and');
 
                 utils.log(`Decoded: TEST AL, 0x${imm8.toString(16)} (Result for flags: 0x${result.toString(16)})`);
                 return true;
@@ -1701,107 +2549,104 @@ export class CPU {
                 const result = regValue & immediateValue;
 
                 // TEST updates flags and discards the result.
-                this.flags.cf = 0;
-                this.flags.of = 0;
-
-                this.flags.zf = (result === 0n) ? 1 : 0;
-                
-                // Set Sign Flag if the most significant bit of the result is 1.
-                const signBitMask = 1n << (BigInt(sizeBytes * 8) - 1n);
-                this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0;
-                // Note: Parity Flag (PF) is also affected but not implemented here.
+                this.updateArithmeticFlags(result, regValue, immediateValue, sizeBytes, 'and');
 
                 utils.log(`Decoded: TEST ${regName.toUpperCase()}, 0x${immediateValue.toString(16)} (Result for flags: 0x${result.toString(16)})`);
                 return true;
             }
 
-            // Group 2 Immediate Instructions (ROL, ROR, RCL, RCR, SHL, SHR, SAR)
-            if (opcode === 0xC0 || opcode === 0xC1) {
+            // IMUL r, r/m, imm (0x69 with imm16/imm32, 0x6B with a sign-extended imm8)
+            if (opcode === 0x69 || opcode === 0x6B) {
                 const modrm = this.readModRMByte();
-                const wBit = opcode & 0x01;
-                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
-                
-                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-                const shiftCount = this.readSignedImmediate(1); // imm8
+                const sizeBytes = defaultOperandSize;
+                const destRegName = this.getRegisterString(modrm.reg + (rex_r << 3), sizeBytes, rexPrefix !== 0);
+                // For 64-bit operands the immediate is 32 bits, sign-extended.
+                const immediateSize = (opcode === 0x6B) ? 1 : (sizeBytes === 2 ? 2 : 4);
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0, immediateSize);
+                const immediateValue = this.readSignedImmediate(immediateSize);
 
-                // Read the value to be shifted
-                let value;
-                if (rmOperand.type === 'reg') {
-                    value = this.readRegister(rmOperand.name, sizeBytes);
-                } else {
-                    // Read from memory
-                    if (sizeBytes === 1) value = BigInt(this.readVirtualUint8(rmOperand.address));
-                    else if (sizeBytes === 2) value = BigInt(this.readVirtualUint16(rmOperand.address));
-                    else if (sizeBytes === 4) value = BigInt(this.readVirtualUint32(rmOperand.address));
-                    else value = this.readVirtualBigUint64(rmOperand.address);
-                }
+                const multiplicand = this.readRMOperand(rmOperand, sizeBytes);
+                const result = this.executeTruncatedMultiply(multiplicand, immediateValue, sizeBytes);
+                this.writeRegister(destRegName, result, sizeBytes);
 
-                let result;
-                let mnemonic = "UNKNOWN_SHIFT";
+                const srcStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                utils.log(`Decoded: IMUL ${destRegName.toUpperCase()}, ${srcStr}, 0x${immediateValue.toString(16)} -> Result: 0x${result.toString(16)}`);
+                return true;
+            }
 
-                // The 'reg' field of ModR/M acts as an opcode extension here
-                switch (modrm.reg) {
-                    case 4: // SHL
-                        mnemonic = "SHL";
-                        result = value << shiftCount;
-                        // TODO: Set CF and OF correctly for SHL
-                        break;
-                    case 5: // SHR
-                        mnemonic = "SHR";
-                        result = value >> shiftCount;
-                        // TODO: Set CF and OF correctly for SHR
-                        break;
-                    // Add other shifts like SAR (case 7) here
-                    default:
-                        throw new Error(`Unhandled Group 2 instruction with /reg=${modrm.reg}`);
-                }
-
-                // Update flags (simplified for now)
-                this.flags.zf = (result === 0n) ? 1 : 0;
-                // SF update needs to consider the size
-                const bitWidth = BigInt(sizeBytes * 8);
-                const signBitMask = 1n << (bitWidth - 1n);
-                this.flags.sf = ((result & signBitMask) !== 0n) ? 1 : 0;
-
-                // Write the result back
-                if (rmOperand.type === 'reg') {
-                    this.writeRegister(rmOperand.name, result, sizeBytes);
-                } else {
-                    // Write to memory
-                    if (sizeBytes === 1) this.writeVirtualUint8(rmOperand.address, Number(result));
-                    else if (sizeBytes === 2) this.writeVirtualUint16(rmOperand.address, Number(result));
-                    else if (sizeBytes === 4) this.writeVirtualUint32(rmOperand.address, Number(result));
-                    else this.writeVirtualBigUint64(rmOperand.address, result);
+            // Group 3 Instructions (TEST, NOT, NEG, MUL, IMUL, DIV, IDIV) - 0xF6 (byte) / 0xF7 (word/dword/qword)
+            if (opcode === 0xF6 || opcode === 0xF7) {
+                const modrm = this.readModRMByte();
+                const sizeBytes = (opcode === 0xF6) ? 1 : defaultOperandSize;
+                // Only TEST (/0, /1) carries an immediate
+                const immediateSize = (modrm.reg <= 1) ? Math.min(sizeBytes, 4) : 0;
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0, immediateSize);
+                const rmStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+
+                // /0 and /1 (undocumented alias): TEST r/m, imm
+                if (modrm.reg === 0 || modrm.reg === 1) {
+                    const immediateValue = this.readSignedImmediate(immediateSize);
+                    const value = this.readRMOperand(rmOperand, sizeBytes);
+                    this.updateArithmeticFlags(value & immediateValue, value, immediateValue, sizeBytes, 'and');
+                    utils.log(`Decoded: TEST ${rmStr}, 0x${immediateValue.toString(16)}`);
+                    return true;
                 }
 
-                const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
-                utils.log(`Decoded: ${mnemonic} ${rmOperandStr}, ${shiftCount}`);
-                return true;
-            }
+                const value = this.readRMOperand(rmOperand, sizeBytes);
+                const bitMask = (1n << BigInt(sizeBytes * 8)) - 1n;
 
-            // JL rel8 (0x7C)
-            if (opcode === 0x7C) {
-                const displacement = this.readSignedImmediate(1);
-                utils.log(`Decoded: JL rel8 0x${displacement.toString(16)}`);
-                if (this.flags.sf !== this.flags.of) { // Condition for JL
-                    this.rip += displacement;
-                    utils.log(`  Condition Met (SF!=OF). Jumping to 0x${this.rip.toString(16)}`);
-                } else {
-                    utils.log(`  Condition Not Met. Not jumping.`);
+                switch (modrm.reg) {
+                    case 2: // NOT - no flags affected
+                        this.writeRMOperand(rmOperand, ~value, sizeBytes);
+                        utils.log(`Decoded: NOT ${rmStr}`);
+                        return true;
+                    case 3: { // NEG - flags as for 0 - value; CF is set unless the operand was 0
+                        const result = -value;
+                        this.updateArithmeticFlags(result, 0n, value, sizeBytes, 'sub');
+                        this.flags.cf = (value !== 0n) ? 1 : 0;
+                        this.writeRMOperand(rmOperand, result, sizeBytes);
+                        utils.log(`Decoded: NEG ${rmStr}`);
+                        return true;
+                    }
+                    case 4: // MUL
+                    case 5: // IMUL (one-operand)
+                        this.executeMultiply(value, sizeBytes, modrm.reg === 5);
+                        utils.log(`Decoded: ${modrm.reg === 5 ? 'IMUL' : 'MUL'} ${rmStr}`);
+                        return true;
+                    case 6: // DIV
+                    case 7: // IDIV
+                        this.executeDivide(value & bitMask, sizeBytes, modrm.reg === 7);
+                        utils.log(`Decoded: ${modrm.reg === 7 ? 'IDIV' : 'DIV'} ${rmStr}`);
+                        return true;
                 }
-                return true;
             }
 
-            // JB rel8 (0x72)
-            if (opcode === 0x72) {
-                const displacement = this.readSignedImmediate(1);
-                utils.log(`Decoded: JB rel8 0x${displacement.toString(16)}`);
-                if (this.flags.cf !== 0) { // Condition for JB
-                    this.rip += displacement;
-                    utils.log(`  Condition Met (CF!=0). Jumping to 0x${this.rip.toString(16)}`);
+            // Group 2 Instructions (ROL, ROR, RCL, RCR, SHL, SHR, SAL, SAR)
+            // 0xC0/0xC1: count is an imm8; 0xD0/0xD1: count is 1; 0xD2/0xD3: count is CL.
+            // Even opcodes operate on bytes, odd ones use the operand size.
+            if (opcode === 0xC0 || opcode === 0xC1 || (opcode >= 0xD0 && opcode <= 0xD3)) {
+                const modrm = this.readModRMByte();
+                const wBit = opcode & 0x01;
+                let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
+                
+                const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0, (opcode === 0xC0 || opcode === 0xC1) ? 1 : 0);
+
+                let shiftCount;
+                if (opcode === 0xC0 || opcode === 0xC1) {
+                    shiftCount = BigInt(this.readInstructionByte()); // imm8 (unsigned)
+                } else if (opcode === 0xD0 || opcode === 0xD1) {
+                    shiftCount = 1n;
                 } else {
-                    utils.log(`  Condition Not Met. Not jumping.`);
+                    shiftCount = this.readRegister('cl', 1);
                 }
+
+                const value = this.readRMOperand(rmOperand, sizeBytes);
+                const mnemonic = ['ROL', 'ROR', 'RCL', 'RCR', 'SHL', 'SHR', 'SAL', 'SAR'][modrm.reg];
+                const result = this.executeShiftRotate(modrm.reg, value, shiftCount, sizeBytes);
+                this.writeRMOperand(rmOperand, result, sizeBytes);
+
+                const rmOperandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                utils.log(`Decoded: ${mnemonic} ${rmOperandStr}, ${shiftCount} -> Result: 0x${result.toString(16)}`);
                 return true;
             }
 
@@ -1811,36 +2656,100 @@ export class CPU {
                 const displacement = this.readSignedImmediate(1);
                 
                 // Add the displacement to the current RIP to perform the jump
-                this.rip += displacement;
+                this.branchTo(this.rip + displacement, this.getNearBranchSize(defaultOperandSize));
                 
                 utils.log(`Decoded: JMP rel8 0x${displacement.toString(16)} (Jumping to 0x${this.rip.toString(16)})`);
                 return true;
             }
 
-            // IRETQ (0xCF)
+            // INT imm8 (0xCD), INT3 (0xCC), INTO (0xCE) - software interrupts
+            // RIP already points past the instruction, so the handler returns to the next instruction.
+            if (opcode === 0xCD || opcode === 0xCC || opcode === 0xCE) {
+                let vector;
+                if (opcode === 0xCD) {
+                    vector = this.readInstructionByte();
+                } else if (opcode === 0xCC) {
+                    vector = 3;
+                    // Give an attached debugger the breakpoint before the guest's #BP handler runs.
+                    this.debugger?.onBreakpoint?.(currentRIPBeforeFetch);
+                } else {
+                    if (this.is64BitCode()) {
+                        throw new InvalidOpcodeException("INTO is invalid in 64-bit mode");
+                    }
+                    if (!this.flags.of) {
+                        utils.log("Decoded: INTO (OF clear, no interrupt)");
+                        return true;
+                    }
+                    vector = 4;
+                }
+                utils.log(`Decoded: ${{ 0xCD: `INT 0x${vector.toString(16)}`, 0xCC: 'INT3', 0xCE: 'INTO' }[opcode]}`);
+                this.triggerInterrupt(vector, null, true);
+                return true;
+            }
+
+            // INT1 / ICEBP (0xF1) - #DB without the gate DPL check applied to other software interrupts
+            if (opcode === 0xF1) {
+                utils.log("Decoded: INT1");
+                this.triggerInterrupt(1);
+                return true;
+            }
+
+            // IRET (0xCF) in real mode: pop IP, CS and FLAGS (EIP, CS and EFLAGS with a 32-bit operand size)
+            if (opcode === 0xCF && this.mode === 'real') {
+                const sizeBytes = defaultOperandSize;
+                const offset = this.popStack(sizeBytes);
+                const selector = this.popStack(sizeBytes) & 0xFFFFn;
+                const poppedFlags = this.popStack(sizeBytes);
+                // Only the popped width is replaced; VM, VIF and VIP are never changed by a real-mode IRET.
+                const preservedMask = (sizeBytes === 2) ? ~0xFFFFn : ((1n << CPU.FLAG_VM_BIT) | (1n << CPU.FLAG_VIF_BIT) | (1n << CPU.FLAG_VIP_BIT));
+                this.disassembleRFlags((this.assembleRFlags() & preservedMask) | (poppedFlags & ~preservedMask));
+                this.loadSegmentRegister('cs', selector);
+                this.rip = offset & 0xFFFFn;
+                utils.log(`Decoded: IRET (Returning to 0x${selector.toString(16)}:0x${this.rip.toString(16)})`);
+                return true;
+            }
+
+            // IRET/IRETD/IRETQ (0xCF) in protected and long mode: pop RIP, CS and RFLAGS, then RSP and SS when
+            // returning to an outer privilege level (always in 64-bit mode). The frame slots are operand-size wide.
             if (opcode === 0xCF) {
-                // Pop the interrupt number we pushed
-                const interruptNumber = Number(this.readVirtualBigUint64(this.rsp));
-                this.rsp += 8n;
+                const sizeBytes = defaultOperandSize;
+                const oldCpl = this.getCPL();
+                if (this.mode === 'long' && this.flags.nt) {
+                    throw new GeneralProtectionException("IRET with NT set in long mode (task return)");
+                }
 
-                // Page Faults (#8, #10-14, #17) push an error code.
-                const hasErrorCode = [8, 10, 11, 12, 13, 14, 17].includes(interruptNumber);
-                if (hasErrorCode) {
-                    this.rsp += 8n; // Discard the error code
+                const saved = this.saveStackAndCodeSegments();
+                const offset = this.popStack(sizeBytes);
+                const selector = this.popStack(sizeBytes) & 0xFFFFn;
+                const poppedFlags = this.popStack(sizeBytes);
+                const newCpl = Number(selector & 3n);
+                const popsStack = this.is64BitCode() || newCpl > oldCpl;
+                const newRsp = popsStack ? this.popStack(sizeBytes) : null;
+                const newSs = popsStack ? this.popStack(sizeBytes) & 0xFFFFn : null;
+
+                try {
+                    if (newCpl < oldCpl) {
+                        throw new GeneralProtectionException(`IRET to CPL ${newCpl} from CPL ${oldCpl}`, Number(selector & 0xFFFCn));
+                    }
+                    this.loadCodeSegment(selector, newCpl);
+                    if (popsStack) {
+                        // 64-bit mode allows a null SS below CPL 3; any other SS must be at the new CPL
+                        this.loadSegmentRegister('ss', newSs);
+                        this.rsp = newRsp;
+                    }
+                    this.branchTo(offset, sizeBytes);
+                } catch (e) {
+                    this.restoreStackAndCodeSegments(saved);
+                    throw e;
                 }
 
-                // Now pop the standard frame
-                this.rip = this.readVirtualBigUint64(this.rsp);
-                this.rsp += 8n;
-                
-                this.readVirtualBigUint64(this.rsp);
-                this.rsp += 8n;
-                
-                const new_rflags = this.readVirtualBigUint64(this.rsp);
-                this.disassembleRFlags(new_rflags);
-                this.rsp += 8n;
-                
-                utils.log(`Decoded: IRETQ from INT #${interruptNumber} (Returning to 0x${this.rip.toString(16)})`);
+                this.loadRFlagsFromIret(poppedFlags, sizeBytes, oldCpl);
+
+                if (newCpl > oldCpl) {
+                    this.nullInaccessibleDataSegments(newCpl);
+                }
+
+                utils.log(`Decoded: IRET${sizeBytes === 8 ? 'Q' : ''} (Returning to 0x${selector.toString(16)}:0x${this.rip.toString(16)})`);
                 return true;
             }
 
@@ -1849,6 +2758,7 @@ export class CPU {
                 // The port number is read from the 16-bit DX register
                 const port = this.readRegister('dx', 2);
                 const value = this.readRegister('al', 1);
+                this.checkIoPermission(Number(port), 1);
                 
                 this.io.portOut(Number(port), Number(value), 1); // size is 1 byte
                 
@@ -1860,6 +2770,7 @@ export class CPU {
             if (opcode === 0xE6) {
                 const port = this.readInstructionByte(); // Read the port number from the instruction
                 const value = this.readRegister('al', 1); // Get the value from the AL register
+                this.checkIoPermission(port, 1);
                 
                 this.io.portOut(port, Number(value), 1); // Send the data to the I/O bus
 
@@ -1867,26 +2778,19 @@ export class CPU {
                 return true;
             }
 
-            // LODSB (0xAC)
-            if (opcode === 0xAC) {
-                // 1. Read the byte from memory at [RSI]
-                const value = this.readVirtualUint8(this.rsi);
-                
-                // 2. Put that byte into AL
-                this.writeRegister('al', value, 1);
-                
-                // 3. Increment RSI by 1
-                // (Note: A full implementation would check the Direction Flag (DF),
-                // but the default is to increment, which is all we need here).
-                this.rsi += 1n;
-    
-                utils.log(`Decoded: LODSB (Loaded 0x${value.toString(16)} into AL, RSI is now 0x${this.rsi.toString(16)})`);
-                return true;
+            // String Instructions: MOVS (0xA4/A5), CMPS (0xA6/A7), STOS (0xAA/AB), LODS (0xAC/AD), SCAS (0xAE/AF)
+            // The even opcode of each pair is the byte form, the odd one uses the operand size.
+            if ((opcode >= 0xA4 && opcode <= 0xA7) || (opcode >= 0xAA && opcode <= 0xAF)) {
+                const kinds = { 0xA4: 'movs', 0xA6: 'cmps', 0xAA: 'stos', 0xAC: 'lods', 0xAE: 'scas' };
+                const kind = kinds[opcode & 0xFE];
+                const sizeBytes = (opcode & 0x01) ? defaultOperandSize : 1;
+                return this.executeStringInstruction(kind, sizeBytes, currentRIPBeforeFetch);
             }
 
             // IN AL, imm8 (0xE4)
             if (opcode === 0xE4) {
                 const port = this.readInstructionByte(); // Read 8-bit port from instruction
+                this.checkIoPermission(port, 1);
                 const value = this.io.portIn(port, 1);   // Read 1 byte from the I/O bus
                 this.writeRegister('al', value, 1);      // Write the value to AL
 
@@ -1897,6 +2801,7 @@ export class CPU {
             // IN AL, DX (0xEC)
             if (opcode === 0xEC) {
                 const port = this.readRegister('dx', 2);   // Read 16-bit port from DX
+                this.checkIoPermission(Number(port), 1);
                 const value = this.io.portIn(Number(port), 1); // Read 1 byte from the I/O bus
                 this.writeRegister('al', value, 1);        // Write the value to AL
 
@@ -1904,57 +2809,75 @@ export class CPU {
                 return true;
             }
 
-            // INC r/m (0xFE /0 for byte, 0xFF /0 for word/dword/qword)
+            // Group 4/5 (0xFE / 0xFF): INC /0, DEC /1 (both forms); CALL /2, JMP /4 and PUSH /6 (0xFF only)
             if (opcode === 0xFE || opcode === 0xFF) {
                 const modrm = this.readModRMByte();
-                
-                // This instruction is selected when the /reg field of the ModR/M byte is 0.
-                if (modrm.reg === 0) {
-                    const wBit = opcode & 0x01;
-                    // Opcode 0xFE is always 1 byte.
-                    // Opcode 0xFF uses defaultOperandSize (word, dword, or qword).
-                    let sizeBytes = (wBit === 0) ? 1 : defaultOperandSize;
 
+                // INC / DEC r/m
+                if (modrm.reg === 0 || modrm.reg === 1) {
+                    // Opcode 0xFE is always 1 byte; 0xFF uses defaultOperandSize (word, dword, or qword).
+                    const sizeBytes = (opcode === 0xFE) ? 1 : defaultOperandSize;
                     const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
-                    
-                    let value;
-                    // Read the current value from the register or memory
-                    if (rmOperand.type === 'reg') {
-                        value = this.readRegister(rmOperand.name, sizeBytes);
-                    } else {
-                        if (sizeBytes === 1) value = BigInt(this.readVirtualUint8(rmOperand.address));
-                        else if (sizeBytes === 2) value = BigInt(this.readVirtualUint16(rmOperand.address));
-                        else if (sizeBytes === 4) value = BigInt(this.readVirtualUint32(rmOperand.address));
-                        else value = this.readVirtualBigUint64(rmOperand.address);
-                    }
+                    const mnemonic = (modrm.reg === 0) ? 'INC' : 'DEC';
 
-                    const result = value + 1n;
+                    // INC and DEC do not affect the Carry Flag (CF); OF, SF, ZF, AF and PF are set as for ADD/SUB 1.
+                    const originalCF = this.flags.cf;
+                    this.executeLockedUpdate(rmOperand, sizeBytes, (value) =>
+                        this.executeAluOperation(modrm.reg === 0 ? CPU.ALU_ADD : CPU.ALU_SUB, value, 1n, sizeBytes));
+                    this.flags.cf = originalCF;
+
+                    const operandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
+                    utils.log(`Decoded: ${this.lockPrefix ? 'LOCK ' : ''}${mnemonic} ${operandStr}`);
+                    return true;
+                }
 
-                    // --- Correct Flag Calculation for INC ---
-                    // IMPORTANT: INC does NOT affect the Carry Flag (CF).
-                    // It affects OF, SF, ZF, AF, PF.
-                    const originalCF = this.flags.cf; // Preserve the original Carry Flag
+                if (opcode === 0xFF && (modrm.reg === 2 || modrm.reg === 4 || modrm.reg === 6)) {
+                    // Near branches and PUSH use the stack operand size (64-bit in 64-bit mode).
+                    const sizeBytes = (modrm.reg === 6) ? this.getStackOperandSize(defaultOperandSize)
+                        : this.is64BitCode() ? 8 : defaultOperandSize;
+                    const rmOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    const value = this.readRMOperand(rmOperand, sizeBytes);
+                    const operandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
 
-                    // We can use our existing function, but for a fake 'add' of 1
-                    this.updateArithmeticFlags(result, value, 1n, sizeBytes, 'add');
+                    if (modrm.reg === 6) {
+                        this.pushStack(value, sizeBytes);
+                        utils.log(`Decoded: PUSH ${operandStr} (0x${value.toString(16)})`);
+                        return true;
+                    }
+                    const target = this.branchTarget(value, sizeBytes);
+                    if (modrm.reg === 2) {
+                        // The return address is the address of the next instruction (RIP is already past this one).
+                        this.pushStack(this.rip, sizeBytes);
+                    }
+                    this.rip = target;
+                    utils.log(`Decoded: ${modrm.reg === 2 ? 'CALL' : 'JMP'} ${operandStr} (Indirect, jumping to 0x${this.rip.toString(16)})`);
+                    return true;
+                }
 
-                    this.flags.cf = originalCF; // Restore the Carry Flag
-                    // --- End Flag Calculation ---
-                    
-                    // Write the result back
-                    if (rmOperand.type === 'reg') {
-                        this.writeRegister(rmOperand.name, result, sizeBytes);
+                // Far CALL /3 and JMP /5 through a memory operand holding offset then selector (m16:16/32/64)
+                if (opcode === 0xFF && (modrm.reg === 3 || modrm.reg === 5) && modrm.mod !== 0x03) {
+                    const sizeBytes = this.is64BitCode() ? (rex_w ? 8 : 4) : defaultOperandSize;
+                    const memOperand = this.resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, rexPrefix !== 0);
+                    this.checkSegmentAccess(memOperand.segment, memOperand.offset, sizeBytes + 2);
+                    const offset = this.readVirtual(memOperand.address, sizeBytes);
+                    const selector = this.readVirtual(memOperand.address + BigInt(sizeBytes), 2);
+                    if (modrm.reg === 3) {
+                        this.farCall(selector, offset, sizeBytes);
                     } else {
-                        if (sizeBytes === 1) this.writeVirtualUint8(rmOperand.address, Number(result));
-                        else if (sizeBytes === 2) this.writeVirtualUint16(rmOperand.address, Number(result));
-                        else if (sizeBytes === 4) this.writeVirtualUint32(rmOperand.address, Number(result));
-                        else this.writeVirtualBigUint64(rmOperand.address, result);
+                        this.farBranchTo(selector, offset, sizeBytes);
                     }
-                    
-                    const operandStr = rmOperand.type === 'reg' ? rmOperand.name.toUpperCase() : `[0x${rmOperand.address.toString(16)}]`;
-                    utils.log(`Decoded: INC ${operandStr}`);
+                    utils.log(`Decoded: ${modrm.reg === 3 ? 'CALL' : 'JMP'} far [0x${memOperand.address.toString(16)}] (0x${selector.toString(16)}:0x${this.rip.toString(16)})`);
                     return true;
                 }
+
+                if (modrm.reg === 7 || (opcode === 0xFE && modrm.reg >= 2) || modrm.reg === 3 || modrm.reg === 5) {
+                    throw new InvalidOpcodeException(`Invalid encoding 0x${opcode.toString(16).toUpperCase()} /${modrm.reg}`);
+                }
+            }
+
+            // STI (Set Interrupt Flag) and CLI (Clear Interrupt Flag) need CPL <= IOPL outside real mode
+            if ((opcode === 0xFB || opcode === 0xFA) && this.getCPL() > this.flags.iopl) {
+                throw new GeneralProtectionException(`${opcode === 0xFB ? 'STI' : 'CLI'} at CPL ${this.getCPL()} with IOPL ${this.flags.iopl}`);
             }
 
             // STI (Set Interrupt Flag)
@@ -1971,40 +2894,32 @@ export class CPU {
                 return true;
             }
 
-            // JMP ptr16:16 (Far Jump) - Opcode 0xEA
+            // JMP ptr16:16 / ptr16:32 (Far Jump) - Opcode 0xEA (invalid in 64-bit mode)
             if (opcode === 0xEA) {
-                // This instruction is special. In the 16-bit boot stub, the assembler
-                // always generates a 16-bit offset and a 16-bit selector.
-                // We will hardcode the handler to read these sizes to match the
-                // machine code, ignoring defaultOperandSize for this specific opcode.
-                
-                // We must use physical reads because paging is not yet effective
-                // for the instruction stream itself.
-                const offset = this.memory.readUint16(Number(this.rip));
-                this.rip += 2n;
-
-                const new_cs = this.memory.readUint16(Number(this.rip));
-                this.rip += 2n;
+                if (this.is64BitCode()) {
+                    throw new InvalidOpcodeException("Far JMP ptr16:16/32 is invalid in 64-bit mode");
+                }
+                // The offset size follows the operand size, so the 16-bit boot stub's jump into
+                // 64-bit code is ptr16:16 even though long mode is already active.
+                const offset = (defaultOperandSize === 2) ? BigInt(this.readInstructionUint16()) : BigInt(this.readInstructionUint32());
+                const new_cs = BigInt(this.readInstructionUint16());
 
-                // Set the new segment and instruction pointer
-                this.cs = BigInt(new_cs);
-                this.rip = BigInt(offset);
-                
-                // Re-evaluating the CPU mode here is good practice after loading CS.
-                this.updateCPUMode();
+                // Load CS from its descriptor and set the instruction pointer.
+                this.farBranchTo(new_cs, offset, defaultOperandSize);
                 
                 utils.log(`Decoded: JMP far 0x${new_cs.toString(16)}:0x${offset.toString(16)}`);
                 return true;
             }
 
             // If an instruction falls through all specific handlers, it's truly unknown
-            utils.log(`Unknown opcode: 0x${(twoByteOpcode ? '0F ' : '')}${opcode.toString(16)} at 0x${currentRIPBeforeFetch.toString(16)}`); // Use currentRIPBeforeFetch for unknown opcodes
-            return false;
+            throw new InvalidOpcodeException(`Undefined opcode ${opcode.toString(16)}`);
         } catch (e) {
-            if (e instanceof PageFaultException) {
-                console.warn(`--- Caught Page Fault at RIP 0x${currentRIPBeforeFetch.toString(16)}. Invoking handler. ---`);
+            if (e instanceof CPUException) {
+                utils.log(`--- Caught ${e.name} (#${e.vector}) at RIP 0x${currentRIPBeforeFetch.toString(16)}: ${e.message}. Invoking handler. ---`);
                 this.rip = currentRIPBeforeFetch; // IMPORTANT: Restore RIP to the address of the *faulting* instruction
-                this.triggerInterrupt(14, e.errorCode);
+                this.instructionsRetired--; // A faulting instruction does not retire
+                this.singleStepPending = false; // A faulting instruction never completes, so it cannot single-step trap
+                this.deliverEvent(e.vector, e.errorCode);
             } else {
                 console.error(`Fatal error during execution at RIP 0x${currentRIPBeforeFetch.toString(16)}:`, e);
                 throw e;
@@ -2015,15 +2930,15 @@ export class CPU {
 
     readInstructionByte() {
         let byte;
-        // Instruction fetches (RIP-relative access) depend on current mode and paging state
-        // If Protected Mode (CR0.PE) is enabled, all accesses are virtual from instruction stream's perspective.
-        // The translateVirtualToPhysical will handle the specific paging checks (PG, PAE, LME).
-        if ((this.cr0 & CPU.CR0_PE) !== 0n) { 
-            byte = this.readVirtualUint8(this.rip);
-        } else { // Real Mode
-            byte = this.memory.readUint8(Number(this.rip));
-        }
-        this.rip++;
+        // Instructions are fetched from CS:rIP.
+        // The linear address goes through translateVirtualToPhysical, which applies paging when it is enabled.
+        const linearAddr = this.getSegmentBase('cs') + this.rip;
+        if (this.mode !== 'real' && !this.is64BitCode() && this.rip > this.segmentCache.cs.limit) {
+            throw new GeneralProtectionException(`Instruction fetch beyond the CS limit at 0x${this.rip.toString(16)}`);
+        }
+        byte = this.readVirtualUint8(linearAddr, 'execute');
+        // IP wraps within the 64 KiB code segment in real mode
+        this.rip = (this.mode === 'real') ? (this.rip + 1n) & 0xFFFFn : this.rip + 1n;
         return byte;
     }
 
@@ -2038,7 +2953,7 @@ export class CPU {
         const b2 = this.readInstructionByte();
         const b3 = this.readInstructionByte();
         const b4 = this.readInstructionByte();
-        return (b4 << 24) | (b3 << 16) | (b2 << 8) | b1;
+        return ((b4 << 24) | (b3 << 16) | (b2 << 8) | b1) >>> 0; // >>> 0 keeps the result unsigned
     }
 
     readModRMByte() {
@@ -2063,7 +2978,7 @@ export class CPU {
         const regNames8Extended = ['r8b', 'r9b', 'r10b', 'r11b', 'r12b', 'r13b', 'r14b', 'r15b']; // Indices 8-15 (always used with REX)
 
         if (regIndex < 0 || regIndex > 15) {
-            throw new Error(`Invalid register index: ${regIndex}`);
+            throw new InvalidOpcodeException(`Invalid register index: ${regIndex}`);
         }
 
         switch (sizeBytes) {
@@ -2082,7 +2997,7 @@ export class CPU {
             case 2: return regNames16[regIndex];
             case 4: return regNames32[regIndex];
             case 8: return regNames64[regIndex];
-            default: throw new Error(`Invalid register size for naming: ${sizeBytes}`);
+            default: throw new InvalidOpcodeException(`Invalid register size for naming: ${sizeBytes}`);
         }
     }
 
@@ -2139,22 +3054,21 @@ export class CPU {
         return addr;
     }
 
-    resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, hasRexPrefix) {
+    // `immediateBytes` is the size of any immediate that follows the ModR/M bytes. RIP-relative addresses are
+    // relative to the end of the whole instruction, which has not been fetched yet at this point.
+    resolveModRMOperand(modrm, sizeBytes, rex_x, rex_b, hasRexPrefix, immediateBytes = 0) {
         if (modrm.mod === 0b11) {
             const rmIndex = modrm.rm + (rex_b << 3);
             return { type: 'reg', name: this.getRegisterString(rmIndex, sizeBytes, hasRexPrefix) };
         }
 
-        let effectiveAddressSize;
-        if (this.mode === 'real') {
-            effectiveAddressSize = this.addressSizeOverride ? 32 : 16;
-        } else { // Protected or Long Mode
-            effectiveAddressSize = this.addressSizeOverride ? 16 : 32;
-        }
+        const addressSize = this.getEffectiveAddressSize();
+        const addressMask = (1n << BigInt(addressSize * 8)) - 1n;
 
         let effectiveAddress = 0n;
+        let defaultSegment = 'ds'; // RSP/RBP-based addressing defaults to SS instead
 
-        if (effectiveAddressSize === 16) {
+        if (addressSize === 2) {
             // --- 16-bit Addressing Logic ---
             const baseLookups = ['bx+si', 'bx+di', 'bp+si', 'bp+di', 'si', 'di', 'bp', 'bx'];
             
@@ -2165,7 +3079,10 @@ export class CPU {
                 if (baseStr.includes('bx')) effectiveAddress += this.readRegister('bx', 2);
                 if (baseStr.includes('si')) effectiveAddress += this.readRegister('si', 2);
                 if (baseStr.includes('di')) effectiveAddress += this.readRegister('di', 2);
-                if (baseStr.includes('bp')) effectiveAddress += this.readRegister('bp', 2);
+                if (baseStr.includes('bp')) {
+                    effectiveAddress += this.readRegister('bp', 2);
+                    defaultSegment = 'ss';
+                }
             }
 
             if (modrm.mod === 0b01) {
@@ -2173,11 +3090,8 @@ export class CPU {
             } else if (modrm.mod === 0b10) {
                 effectiveAddress += this.readSignedImmediate(2);
             }
-            
-            return { type: 'mem', address: effectiveAddress & 0xFFFFn, sizeBytes };
         } else {
             // --- 32/64-bit Addressing Logic ---
-            // (Your existing SIB logic goes here, unchanged)
             const sibPresent = (modrm.rm === 0b100);
 
             if (sibPresent) {
@@ -2191,17 +3105,24 @@ export class CPU {
                     effectiveAddress += this.readRegister(indexRegName, 8) * BigInt(scale);
                 }
 
-                if (modrm.mod !== 0b00 || baseBits !== 0b101) {
+                if (modrm.mod === 0b00 && (sib & 0x07) === 0b101) {
+                    // No base register: a 32-bit displacement follows the SIB byte instead (also for REX.B=1).
+                    effectiveAddress += this.readSignedImmediate(4);
+                } else {
                     const baseRegName = this.getRegisterString(baseBits, 8, true);
                     effectiveAddress += this.readRegister(baseRegName, 8);
+                    if (baseBits === 0b100 || baseBits === 0b101) defaultSegment = 'ss';
                 }
             } else if (modrm.mod === 0b00 && modrm.rm === 0b101) {
-                effectiveAddress = this.rip + this.readSignedImmediate(4);
-                return { type: 'mem', address: effectiveAddress, sizeBytes };
+                const displacement = this.readSignedImmediate(4);
+                // In 64-bit mode this is RIP-relative (relative to the end of the instruction);
+                // in 32-bit modes it is an absolute disp32.
+                effectiveAddress = this.is64BitCode() ? this.rip + BigInt(immediateBytes) + displacement : displacement;
             } else {
                 const baseRegIndex = modrm.rm + (rex_b << 3);
                 const baseRegName = this.getRegisterString(baseRegIndex, 8, hasRexPrefix);
                 effectiveAddress = this.readRegister(baseRegName, 8);
+                if (baseRegIndex === 0b101) defaultSegment = 'ss';
             }
 
             if (modrm.mod === 0b01) {
@@ -2209,8 +3130,390 @@ export class CPU {
             } else if (modrm.mod === 0b10) {
                 effectiveAddress += this.readSignedImmediate(4);
             }
-            
-            return { type: 'mem', address: effectiveAddress, sizeBytes };
+        }
+
+        // The effective address (offset) wraps at the address size; the segment base is then added
+        // to form the linear address. LEA uses `offset`, every memory access uses `address`.
+        const offset = effectiveAddress & addressMask;
+        const segment = this.segmentOverride ?? defaultSegment;
+        const address = (offset + this.getSegmentBase(segment)) & 0xFFFFFFFFFFFFFFFFn;
+        return { type: 'mem', address, offset, segment, sizeBytes };
+    }
+
+    // Reads a Model Specific Register. Unknown MSRs read as 0.
+    readMSR(msrAddr) {
+        switch (msrAddr) {
+            case CPU.MSR_EFER: return this.efer;
+            case CPU.MSR_FS_BASE: return this.fsBase;
+            case CPU.MSR_GS_BASE: return this.gsBase;
+            case CPU.MSR_KERNEL_GS_BASE: return this.kernelGsBase;
+            case CPU.MSR_STAR: return this.star;
+            case CPU.MSR_LSTAR: return this.lstar;
+            case CPU.MSR_CSTAR: return this.cstar;
+            case CPU.MSR_FMASK: return this.fmask;
+            case CPU.MSR_TSC: return this.readTimeStampCounter();
+            case CPU.MSR_TSC_AUX: return this.tscAux;
+            default:
+                console.warn(`RDMSR from unknown MSR 0x${msrAddr.toString(16)}`);
+                return 0n;
+        }
+    }
+
+    // Writes a Model Specific Register. Writes to unknown MSRs are ignored.
+    writeMSR(msrAddr, value) {
+        switch (msrAddr) {
+            case CPU.MSR_EFER:
+                if (((this.efer ^ value) & (CPU.EFER_NXE | CPU.EFER_LME)) !== 0n) this.flushTlb(true);
+                this.efer = value;
+                if ((this.efer & CPU.EFER_LME) !== 0n) {
+                    utils.log(`Long Mode Enable (LME) bit set in EFER!`);
+                }
+                this.updateCPUMode();
+                break;
+            case CPU.MSR_FS_BASE: this.fsBase = value; break;
+            case CPU.MSR_GS_BASE: this.gsBase = value; break;
+            case CPU.MSR_KERNEL_GS_BASE: this.kernelGsBase = value; break;
+            case CPU.MSR_STAR: this.star = value; break;
+            case CPU.MSR_LSTAR:
+            case CPU.MSR_CSTAR:
+                if (!CPU.isCanonical(value)) {
+                    throw new GeneralProtectionException(`WRMSR of non-canonical address 0x${value.toString(16)} to MSR 0x${msrAddr.toString(16)}`);
+                }
+                if (msrAddr === CPU.MSR_LSTAR) this.lstar = value; else this.cstar = value;
+                break;
+            case CPU.MSR_FMASK: this.fmask = value & 0xFFFFFFFFn; break;
+            case CPU.MSR_TSC: this.tscOffset = value - this.instructionsRetired; break;
+            case CPU.MSR_TSC_AUX: this.tscAux = value & 0xFFFFFFFFn; break;
+            default:
+                console.warn(`WRMSR to unknown MSR 0x${msrAddr.toString(16)}`);
+        }
+    }
+
+    // A 64-bit address is canonical when bits 63:47 are all equal (48-bit linear addresses).
+    static isCanonical(address) {
+        const upper = address >> 47n;
+        return upper === 0n || upper === 0x1FFFFn;
+    }
+
+    // The time stamp counter ticks once per retired instruction.
+    readTimeStampCounter() {
+        return (this.instructionsRetired + this.tscOffset) & 0xFFFFFFFFFFFFFFFFn;
+    }
+
+    // Computes the CPUID result registers for a leaf/subleaf from this.cpuidConfig.
+    // Returns { eax, ebx, ecx, edx } as 32-bit numbers.
+    executeCpuid(leaf, subleaf) {
+        const config = this.cpuidConfig;
+        // Packs up to 4 characters of a string per register, little-endian
+        const chars = (str, offset) => {
+            let value = 0;
+            for (let i = 0; i < 4; i++) value |= (str.charCodeAt(offset + i) || 0) << (i * 8);
+            return value >>> 0;
+        };
+        const featureBits = (reg) => {
+            let value = 0;
+            for (const [name, info] of Object.entries(CPU.CPUID_FEATURE_BITS)) {
+                if (info.leaf === leaf && info.reg === reg && config.features[name]) value |= 1 << info.bit;
+            }
+            return value >>> 0;
+        };
+
+        let result = { eax: 0, ebx: 0, ecx: 0, edx: 0 };
+        switch (leaf) {
+            case 0x00000000: // Highest basic leaf and vendor string (EBX, EDX, ECX order)
+                result = { eax: 0x7, ebx: chars(config.vendor, 0), edx: chars(config.vendor, 4), ecx: chars(config.vendor, 8) };
+                break;
+            case 0x00000001: { // Family/model/stepping and feature flags
+                const family = Math.min(config.family, 0x0F);
+                const extendedFamily = Math.max(config.family - 0x0F, 0);
+                const eax = (config.stepping & 0x0F) | ((config.model & 0x0F) << 4) | (family << 8) |
+                    (((config.model >> 4) & 0x0F) << 16) | (extendedFamily << 20);
+                // EBX: CLFLUSH line size (in 8-byte units) = 64 bytes, one logical processor, APIC ID 0
+                result = { eax, ebx: (8 << 8) | (1 << 16), ecx: featureBits('ecx'), edx: featureBits('edx') };
+                break;
+            }
+            case 0x00000007: // Structured extended features (subleaf 0 only)
+                if (subleaf === 0) result = { eax: 0, ebx: featureBits('ebx'), ecx: featureBits('ecx'), edx: featureBits('edx') };
+                break;
+            case 0x40000000: // Hypervisor identification
+                result = {
+                    eax: 0x40000000,
+                    ebx: chars(config.hypervisorSignature, 0),
+                    ecx: chars(config.hypervisorSignature, 4),
+                    edx: chars(config.hypervisorSignature, 8),
+                };
+                break;
+            case 0x80000000: // Highest extended leaf
+                result = { eax: 0x80000008, ebx: 0, ecx: 0, edx: 0 };
+                break;
+            case 0x80000001: // Extended feature flags
+                result = { eax: 0, ebx: 0, ecx: featureBits('ecx'), edx: featureBits('edx') };
+                break;
+            case 0x80000002:
+            case 0x80000003:
+            case 0x80000004: { // Processor brand string, 16 characters per leaf
+                const base = (leaf - 0x80000002) * 16;
+                result = { eax: chars(config.brand, base), ebx: chars(config.brand, base + 4), ecx: chars(config.brand, base + 8), edx: chars(config.brand, base + 12) };
+                break;
+            }
+            case 0x80000008: // Physical and linear address sizes
+                result = { eax: config.physicalAddressBits | (config.linearAddressBits << 8), ebx: 0, ecx: 0, edx: 0 };
+                break;
+        }
+
+        return { ...result, ...config.leaves[leaf] };
+    }
+
+    get fsBase() { return this.segmentCache.fs.base; }
+    set fsBase(value) { this.segmentCache.fs.base = value; }
+    get gsBase() { return this.segmentCache.gs.base; }
+    set gsBase(value) { this.segmentCache.gs.base = value; }
+
+    // Returns the base address of a segment register's hidden part.
+    // In 64-bit mode only FS and GS have a base; CS, DS, ES and SS are treated as 0.
+    getSegmentBase(segment) {
+        if (this.is64BitCode() && segment !== 'fs' && segment !== 'gs') return 0n;
+        return this.segmentCache[segment].base;
+    }
+
+    // True when executing 64-bit code: long mode with a CS whose L bit is set. Long mode with a
+    // 16/32-bit code segment (compatibility mode) decodes like protected mode.
+    is64BitCode() {
+        return this.mode === 'long' && (this.segmentCache.cs.attributes & CPU.SEG_ATTR_L) !== 0;
+    }
+
+    // Loads a segment register's selector and its hidden base, limit and attributes. In real mode the
+    // base is selector * 16. Otherwise the descriptor is read from the GDT and checked: #GP for a null CS
+    // or SS, an LDT selector, a selector beyond the GDT limit or the wrong descriptor type; #NP (#SS for SS)
+    // for a descriptor that is not present. Privilege levels are not checked yet.
+    loadSegmentRegister(segment, selector) {
+        selector = BigInt(selector) & 0xFFFFn;
+        const cache = this.segmentCache[segment];
+        if (this.mode === 'real') {
+            this[segment] = selector;
+            cache.base = selector << 4n;
+            cache.limit = 0xFFFFn;
+            cache.attributes = (segment === 'cs') ? CPU.REAL_MODE_CODE_ATTRIBUTES : CPU.REAL_MODE_DATA_ATTRIBUTES;
+            return;
+        }
+
+        const name = segment.toUpperCase();
+        const errorCode = Number(selector & 0xFFFCn);
+        if ((selector & 0xFFFCn) === 0n) {
+            // A null selector may be loaded into a data segment register (which then faults on use),
+            // and into SS in 64-bit mode below CPL 3 if its RPL is the CPL.
+            if (segment === 'cs' || (segment === 'ss' && !(this.is64BitCode() && this.getCPL() < 3 && Number(selector & 3n) === this.getCPL()))) {
+                throw new GeneralProtectionException(`Null selector loaded into ${name}`, 0);
+            }
+            this[segment] = selector;
+            cache.base = 0n;
+            cache.limit = 0n;
+            cache.attributes = 0;
+            return;
+        }
+        if ((selector & 4n) !== 0n) {
+            throw new GeneralProtectionException(`${name} selector 0x${selector.toString(16)} references the LDT, which is not supported`, errorCode);
+        }
+
+        const descriptorAddr = this.gdtr.base + (selector & 0xFFF8n);
+        if ((selector | 7n) > BigInt(this.gdtr.limit)) {
+            throw new GeneralProtectionException(`${name} selector 0x${selector.toString(16)} is beyond the GDT limit`, errorCode);
+        }
+        const descriptor = this.asSupervisorAccess(() => this.readVirtualBigUint64(descriptorAddr));
+        const attributes = Number((descriptor >> 40n) & 0xF0FFn);
+
+        const isCode = (attributes & CPU.SEG_ATTR_CODE) !== 0;
+        const readableOrWritable = (attributes & CPU.SEG_ATTR_WRITABLE) !== 0;
+        let validType;
+        if ((attributes & CPU.SEG_ATTR_S) === 0) {
+            validType = false; // System descriptors (TSS, gates) cannot be loaded into a segment register
+        } else if (segment === 'cs') {
+            validType = isCode;
+        } else if (segment === 'ss') {
+            validType = !isCode && readableOrWritable;
+        } else {
+            validType = !isCode || readableOrWritable; // Data, or readable code
+        }
+        if (!validType) {
+            throw new GeneralProtectionException(`Descriptor 0x${descriptor.toString(16)} cannot be loaded into ${name}`, errorCode);
+        }
+
+        // SS must be exactly at the CPL; data and nonconforming code segments need DPL >= max(CPL, RPL).
+        // CS privilege rules depend on the kind of transfer (see loadCodeSegment).
+        const dpl = (attributes >> 5) & 3;
+        const rpl = Number(selector & 3n);
+        const cpl = this.getCPL();
+        const conforming = isCode && (attributes & CPU.SEG_ATTR_EXPAND_DOWN) !== 0;
+        if ((segment === 'ss' && (rpl !== cpl || dpl !== cpl)) ||
+            (segment !== 'ss' && segment !== 'cs' && !conforming && dpl < Math.max(cpl, rpl))) {
+            throw new GeneralProtectionException(`${name} selector 0x${selector.toString(16)} (DPL ${dpl}) is not accessible at CPL ${cpl}`, errorCode);
+        }
+        if ((attributes & CPU.SEG_ATTR_PRESENT) === 0) {
+            const ExceptionClass = (segment === 'ss') ? StackFaultException : SegmentNotPresentException;
+            throw new ExceptionClass(`${name} descriptor for selector 0x${selector.toString(16)} is not present`, errorCode);
+        }
+
+        // Mark the descriptor accessed, as the processor does on every load
+        if ((attributes & CPU.SEG_ATTR_ACCESSED) === 0) {
+            this.asSupervisorAccess(() => this.writeVirtualBigUint64(descriptorAddr, descriptor | (BigInt(CPU.SEG_ATTR_ACCESSED) << 40n)));
+        }
+
+        let limit = (descriptor & 0xFFFFn) | (((descriptor >> 48n) & 0xFn) << 16n);
+        if ((attributes & CPU.SEG_ATTR_G) !== 0) {
+            limit = (limit << 12n) | 0xFFFn;
+        }
+        this[segment] = selector;
+        cache.base = ((descriptor >> 16n) & 0xFFFFFFn) | (((descriptor >> 56n) & 0xFFn) << 24n);
+        cache.limit = limit;
+        cache.attributes = attributes | CPU.SEG_ATTR_ACCESSED;
+        utils.log(`  ${name} = 0x${selector.toString(16)} (base 0x${cache.base.toString(16)}, limit 0x${limit.toString(16)}, attributes 0x${cache.attributes.toString(16)})`);
+    }
+
+    // Loads a segment register with fixed flat attributes without reading the GDT, as SYSCALL and SYSRET do.
+    loadFlatSegment(segment, selector, attributes) {
+        this[segment] = BigInt(selector) & 0xFFFFn;
+        this.segmentCache[segment].base = 0n;
+        this.segmentCache[segment].limit = 0xFFFFFFFFn;
+        this.segmentCache[segment].attributes = attributes;
+    }
+
+    // Checks an access of `sizeBytes` at `offset` within a segment against its cached limit and type
+    // (outside real mode and 64-bit code, which do no limit checks). 64-bit code only checks that the
+    // linear address is canonical. Faults are #SS(0) for SS, otherwise #GP(0).
+    checkSegmentAccess(segment, offset, sizeBytes, isWrite = false) {
+        if (this.is64BitCode()) {
+            this.checkCanonicalAccess(offset + this.getSegmentBase(segment), sizeBytes, segment);
+            return;
+        }
+        if (this.mode === 'real') {
+            return;
+        }
+        const cache = this.segmentCache[segment];
+        const name = segment.toUpperCase();
+        const ExceptionClass = (segment === 'ss') ? StackFaultException : GeneralProtectionException;
+        if ((cache.attributes & CPU.SEG_ATTR_PRESENT) === 0) {
+            throw new ExceptionClass(`Access through ${name} while it holds a null selector`);
+        }
+        const isCode = (cache.attributes & CPU.SEG_ATTR_CODE) !== 0;
+        if (isWrite && (isCode || (cache.attributes & CPU.SEG_ATTR_WRITABLE) === 0)) {
+            throw new ExceptionClass(`Write to read-only segment ${name}`);
+        }
+        const last = offset + BigInt(sizeBytes) - 1n;
+        if (!isCode && (cache.attributes & CPU.SEG_ATTR_EXPAND_DOWN) !== 0) {
+            // Expand-down: valid offsets run from limit + 1 up to 64 KiB or 4 GiB (the B bit)
+            const upper = (cache.attributes & CPU.SEG_ATTR_DB) !== 0 ? 0xFFFFFFFFn : 0xFFFFn;
+            if (offset <= cache.limit || last > upper) {
+                throw new ExceptionClass(`${name} expand-down limit violation at offset 0x${offset.toString(16)}`);
+            }
+        } else if (last > cache.limit) {
+            throw new ExceptionClass(`${name} limit violation at offset 0x${offset.toString(16)} (limit 0x${cache.limit.toString(16)})`);
+        }
+    }
+
+    // In long mode every byte of an access must lie at a canonical linear address. The fault is #SS(0)
+    // for accesses through SS and #GP(0) for any other.
+    checkCanonicalAccess(linearAddr, sizeBytes, segment = null) {
+        const first = linearAddr & 0xFFFFFFFFFFFFFFFFn;
+        const last = (first + BigInt(sizeBytes) - 1n) & 0xFFFFFFFFFFFFFFFFn;
+        if (CPU.isCanonical(first) && CPU.isCanonical(last)) {
+            return;
+        }
+        const ExceptionClass = (segment === 'ss') ? StackFaultException : GeneralProtectionException;
+        throw new ExceptionClass(`Non-canonical address 0x${first.toString(16)}${segment ? ` through ${segment.toUpperCase()}` : ''}`);
+    }
+
+    // Operand size of near branches (and their return addresses): always 64 bits in 64-bit code.
+    getNearBranchSize(defaultOperandSize) {
+        return this.is64BitCode() ? 8 : defaultOperandSize;
+    }
+
+    // Returns a branch target truncated to the branch operand size (so 16-bit code wraps within its
+    // 64 KiB code segment). A non-canonical target in 64-bit code raises #GP(0) at the branch itself
+    // rather than #PF at the next fetch.
+    branchTarget(target, sizeBytes) {
+        const rip = (sizeBytes === 8) ? target & 0xFFFFFFFFFFFFFFFFn : target & ((1n << BigInt(sizeBytes * 8)) - 1n);
+        if (this.is64BitCode() && !CPU.isCanonical(rip)) {
+            throw new GeneralProtectionException(`Branch to non-canonical address 0x${rip.toString(16)}`);
+        }
+        return rip;
+    }
+
+    // Sets the instruction pointer for a branch (see branchTarget).
+    branchTo(target, sizeBytes) {
+        this.rip = this.branchTarget(target, sizeBytes);
+    }
+
+    // Loads CS:rIP for a far JMP/CALL/RET. The selector is loaded first so the new mode (if any)
+    // is in effect when the target is masked; a rejected target restores the old CS.
+    farBranchTo(selector, offset, sizeBytes) {
+        // Direct far JMP/CALL stays at the current privilege level; a nonconforming target also needs RPL <= CPL
+        const cpl = this.getCPL();
+        if (this.mode !== 'real' && Number(BigInt(selector) & 3n) > cpl) {
+            throw new GeneralProtectionException(`Far transfer to selector 0x${selector.toString(16)} with RPL above CPL ${cpl}`, Number(BigInt(selector) & 0xFFFCn));
+        }
+        const saved = this.saveStackAndCodeSegments();
+        this.loadCodeSegment(selector, cpl);
+        this.updateCPUMode();
+        try {
+            this.branchTo(offset, sizeBytes);
+        } catch (e) {
+            this.restoreStackAndCodeSegments(saved);
+            throw e;
+        }
+    }
+
+    // Loads CS for a far transfer that continues at privilege level `cpl`, which becomes the RPL of CS.
+    // Outside real mode a nonconforming segment must have DPL == cpl and a conforming one DPL <= cpl;
+    // otherwise CS is left unchanged and #GP(selector) is raised.
+    loadCodeSegment(selector, cpl) {
+        const saved = this.saveStackAndCodeSegments();
+        this.loadSegmentRegister('cs', selector);
+        if (this.mode === 'real') {
+            return;
+        }
+        const attributes = this.segmentCache.cs.attributes;
+        const dpl = (attributes >> 5) & 3;
+        const conforming = (attributes & CPU.SEG_ATTR_EXPAND_DOWN) !== 0;
+        if (conforming ? dpl > cpl : dpl !== cpl) {
+            this.restoreStackAndCodeSegments(saved);
+            throw new GeneralProtectionException(`Code segment 0x${BigInt(selector).toString(16)} has DPL ${dpl}, not usable at CPL ${cpl}`, Number(BigInt(selector) & 0xFFFCn));
+        }
+        this.cs = (BigInt(selector) & 0xFFFCn) | BigInt(cpl);
+    }
+
+    // After a return to the less privileged level `cpl`, data segment registers holding segments that level
+    // may not use are loaded with a null selector, so the outer code cannot keep using them.
+    nullInaccessibleDataSegments(cpl) {
+        for (const segment of ['es', 'ds', 'fs', 'gs']) {
+            const attributes = this.segmentCache[segment].attributes;
+            const conformingCode = (attributes & CPU.SEG_ATTR_CODE) !== 0 && (attributes & CPU.SEG_ATTR_EXPAND_DOWN) !== 0;
+            if ((this[segment] & 0xFFFCn) !== 0n && !conformingCode && ((attributes >> 5) & 3) < cpl) {
+                this.loadSegmentRegister(segment, 0n);
+            }
+        }
+    }
+
+    // Reads the base of an LGDT/LIDT operand: 64 bits in 64-bit code, otherwise 32 bits
+    // (24 bits with a 16-bit operand size).
+    readDescriptorTableBase(address, operandSize) {
+        if (this.is64BitCode()) {
+            return this.readVirtualBigUint64(address);
+        }
+        const base = BigInt(this.readVirtualUint32(address));
+        return (operandSize === 2) ? base & 0xFFFFFFn : base;
+    }
+
+    // Far CALL: pushes CS and the return rIP, then branches. If the new CS is rejected the
+    // stack pointer is restored, so the fault leaves no partial frame behind.
+    farCall(selector, offset, sizeBytes) {
+        const savedRsp = this.rsp;
+        this.pushStack(this.cs, sizeBytes);
+        this.pushStack(this.rip, sizeBytes);
+        try {
+            this.farBranchTo(selector, offset, sizeBytes);
+        } catch (e) {
+            this.rsp = savedRsp;
+            throw e;
         }
     }
 
@@ -2248,262 +3551,850 @@ export class CPU {
         utils.log(`DEBUG: updateCPUMode - Mode finalized as: ${this.mode}\n`);
     }
 
-    readVirtualUint8(virtualAddr) {
-        const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 1, 'read');
-        // Add bounds check for physical memory to catch issues *before* DataView throws
-        if (physicalAddr < 0n || physicalAddr >= BigInt(this.memory.buffer.byteLength)) {
-            console.error(`Attempt to read physical address 0x${physicalAddr.toString(16)} outside memory bounds (0x0 to 0x${BigInt(this.memory.buffer.byteLength).toString(16)}).`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Read from physical address 0x${physicalAddr.toString(16)}`);
+    // Reports whether the instruction being decoded may carry a LOCK prefix: the opcode must be a
+    // read-modify-write instruction (and, for group opcodes, an allowed /reg) with a memory destination.
+    // The ModR/M byte is peeked without consuming it.
+    isLockableInstruction(opcode, twoByteOpcode) {
+        const lockable = twoByteOpcode ? CPU.LOCKABLE_TWO_BYTE_OPCODES : CPU.LOCKABLE_OPCODES;
+        if (!lockable.has(opcode)) {
+            return false;
+        }
+        const modrmByte = this.readInstructionByte();
+        this.rip--;
+        if ((modrmByte >> 6) === 0x03) {
+            return false; // Register destination
+        }
+        const groupRegs = (twoByteOpcode ? CPU.LOCKABLE_TWO_BYTE_GROUP_REGS : CPU.LOCKABLE_GROUP_REGS)[opcode];
+        return groupRegs === undefined || groupRegs.includes((modrmByte >> 3) & 0x07);
+    }
+
+    // Performs a read-modify-write of an r/m operand as one indivisible update: `update` receives the
+    // current value and returns the value to store. A memory destination is probed for write access
+    // before it is read, so a fault is raised before anything changes rather than between the read and
+    // the write. Every CPU sharing a Memory is stepped from the same JS thread and a step never yields,
+    // so no other CPU can observe or modify the location in between.
+    executeLockedUpdate(operand, sizeBytes, update) {
+        if (operand.type === 'mem') {
+            this.checkSegmentAccess(operand.segment, operand.offset, sizeBytes, true);
+            this.translateVirtualToPhysical(operand.address, sizeBytes, 'write');
+        }
+        const current = this.readRMOperand(operand, sizeBytes);
+        const result = update(current);
+        this.writeRMOperand(operand, result, sizeBytes);
+        return current;
+    }
+
+    // Current privilege level. Outside real mode it is the RPL of the CS selector.
+    getCPL() {
+        return (this.mode === 'real') ? 0 : Number(this.cs & 3n);
+    }
+
+    // Operand size of PUSH/POP and other implicit stack accesses: 64 bits in long mode unless a 0x66
+    // prefix selects 16 (there is no 32-bit push in long mode), otherwise the normal operand size.
+    getStackOperandSize(defaultOperandSize) {
+        if (this.is64BitCode()) {
+            return this.operandSizeOverride ? 2 : 8;
+        }
+        return defaultOperandSize;
+    }
+
+    // Width of the stack pointer: RSP in 64-bit code, SP in real mode, otherwise ESP or SP as selected by SS.B.
+    getStackAddressSize() {
+        if (this.is64BitCode()) return 8;
+        if (this.mode === 'real') return 2;
+        return (this.segmentCache.ss.attributes & CPU.SEG_ATTR_DB) !== 0 ? 4 : 2;
+    }
+
+    // Pushes `sizeBytes` of `value` onto SS:rSP. The stack pointer only moves once the store has succeeded.
+    pushStack(value, sizeBytes) {
+        const stackAddressSize = this.getStackAddressSize();
+        const spName = this.getRegisterString(4, stackAddressSize, false);
+        const newSp = (this.readRegister(spName, stackAddressSize) - BigInt(sizeBytes)) & ((1n << BigInt(stackAddressSize * 8)) - 1n);
+        this.checkSegmentAccess('ss', newSp, sizeBytes, true);
+        this.writeVirtual(newSp + this.getSegmentBase('ss'), value, sizeBytes);
+        this.writeRegister(spName, newSp, stackAddressSize);
+    }
+
+    // Pops `sizeBytes` from SS:rSP and returns the value.
+    popStack(sizeBytes) {
+        const stackAddressSize = this.getStackAddressSize();
+        const spName = this.getRegisterString(4, stackAddressSize, false);
+        const sp = this.readRegister(spName, stackAddressSize);
+        this.checkSegmentAccess('ss', sp, sizeBytes);
+        const value = this.readVirtual(sp + this.getSegmentBase('ss'), sizeBytes);
+        this.writeRegister(spName, (sp + BigInt(sizeBytes)) & ((1n << BigInt(stackAddressSize * 8)) - 1n), stackAddressSize);
+        return value;
+    }
+
+    // Discards `bytes` from the top of the stack (RET imm16).
+    releaseStack(bytes) {
+        const stackAddressSize = this.getStackAddressSize();
+        const spName = this.getRegisterString(4, stackAddressSize, false);
+        this.writeRegister(spName, (this.readRegister(spName, stackAddressSize) + bytes) & ((1n << BigInt(stackAddressSize * 8)) - 1n), stackAddressSize);
+    }
+
+    // Loads RFLAGS from a value popped by POPF. Outside real mode IOPL can only change at CPL 0 and IF
+    // only when CPL <= IOPL; protected bits are silently kept. VM, VIF and VIP never change, RF is
+    // cleared, and a 16-bit POPF only replaces the low 16 bits.
+    loadRFlagsFromPopf(value, sizeBytes) {
+        const bit = (b) => 1n << b;
+        let writable = bit(CPU.FLAG_CF_BIT) | bit(CPU.FLAG_PF_BIT) | bit(CPU.FLAG_AF_BIT) | bit(CPU.FLAG_ZF_BIT) |
+            bit(CPU.FLAG_SF_BIT) | bit(CPU.FLAG_TF_BIT) | bit(CPU.FLAG_DF_BIT) | bit(CPU.FLAG_OF_BIT) |
+            bit(CPU.FLAG_NT_BIT) | bit(CPU.FLAG_AC_BIT) | bit(CPU.FLAG_ID_BIT) |
+            bit(CPU.FLAG_IF_BIT) | (3n << CPU.FLAG_IOPL_SHIFT);
+
+        if (this.mode !== 'real') {
+            const cpl = this.getCPL();
+            if (cpl > 0) writable &= ~(3n << CPU.FLAG_IOPL_SHIFT);
+            if (cpl > this.flags.iopl) writable &= ~bit(CPU.FLAG_IF_BIT);
+        }
+        if (sizeBytes === 2) writable &= 0xFFFFn;
+
+        const current = this.assembleRFlags();
+        this.disassembleRFlags(((current & ~writable) | (value & writable)) & ~bit(CPU.FLAG_RF_BIT));
+    }
+
+    // Loads RFLAGS from an IRET frame popped at privilege level `cpl`. As with POPF, IOPL only changes at
+    // CPL 0 and IF only when CPL <= IOPL; VIF and VIP also change only at CPL 0. RF is restored from the
+    // frame, and VM stays clear since virtual-8086 mode is not supported.
+    loadRFlagsFromIret(value, sizeBytes, cpl) {
+        let writable = 0n;
+        for (const bit of Object.values(CPU.FLAG_BITS)) {
+            writable |= 1n << bit;
+        }
+        writable = (writable | (3n << CPU.FLAG_IOPL_SHIFT)) & ~(1n << CPU.FLAG_VM_BIT);
+        if (cpl > 0) writable &= ~((3n << CPU.FLAG_IOPL_SHIFT) | (1n << CPU.FLAG_VIF_BIT) | (1n << CPU.FLAG_VIP_BIT));
+        if (cpl > this.flags.iopl) writable &= ~(1n << CPU.FLAG_IF_BIT);
+        if (sizeBytes === 2) writable &= 0xFFFFn;
+
+        this.disassembleRFlags((this.assembleRFlags() & ~writable) | (value & writable));
+    }
+
+    // Reads an operand returned by resolveModRMOperand, from a register or from memory.
+    readRMOperand(operand, sizeBytes) {
+        if (operand.type === 'reg') {
+            return this.readRegister(operand.name, sizeBytes);
+        }
+        this.checkSegmentAccess(operand.segment, operand.offset, sizeBytes);
+        return this.readVirtual(operand.address, sizeBytes);
+    }
+
+    // Writes an operand returned by resolveModRMOperand. The value is truncated to the operand size.
+    writeRMOperand(operand, value, sizeBytes) {
+        if (operand.type === 'reg') {
+            this.writeRegister(operand.name, value, sizeBytes);
+        } else {
+            this.checkSegmentAccess(operand.segment, operand.offset, sizeBytes, true);
+            this.writeVirtual(operand.address, value, sizeBytes);
+        }
+    }
+
+    // Size-generic virtual memory accessors. Values are always BigInts.
+    readVirtual(virtualAddr, sizeBytes) {
+        switch (sizeBytes) {
+            case 1: return BigInt(this.readVirtualUint8(virtualAddr));
+            case 2: return BigInt(this.readVirtualUint16(virtualAddr));
+            case 4: return BigInt(this.readVirtualUint32(virtualAddr));
+            case 8: return this.readVirtualBigUint64(virtualAddr);
+            default: throw new InvalidOpcodeException(`Invalid memory access size: ${sizeBytes}`);
+        }
+    }
+
+    writeVirtual(virtualAddr, value, sizeBytes) {
+        const bitMask = (1n << BigInt(sizeBytes * 8)) - 1n;
+        const maskedValue = BigInt(value) & bitMask;
+        switch (sizeBytes) {
+            case 1: this.writeVirtualUint8(virtualAddr, Number(maskedValue)); break;
+            case 2: this.writeVirtualUint16(virtualAddr, Number(maskedValue)); break;
+            case 4: this.writeVirtualUint32(virtualAddr, Number(maskedValue)); break;
+            case 8: this.writeVirtualBigUint64(virtualAddr, maskedValue); break;
+            default: throw new InvalidOpcodeException(`Invalid memory access size: ${sizeBytes}`);
+        }
+    }
+
+    // Physical accesses beyond the end of installed memory raise #GP(0).
+    checkPhysicalAccess(physicalAddr, sizeBytes, isWrite) {
+        if (physicalAddr < 0n || physicalAddr + BigInt(sizeBytes) > BigInt(this.memory.buffer.byteLength)) {
+            throw new GeneralProtectionException(`${isWrite ? 'Write to' : 'Read from'} physical address 0x${physicalAddr.toString(16)} outside memory (0x${this.memory.buffer.byteLength.toString(16)} bytes)`);
         }
+    }
+
+    readVirtualUint8(virtualAddr, accessType = 'read') {
+        const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 1, accessType);
+        this.checkPhysicalAccess(physicalAddr, 1, false);
         return this.memory.readUint8(Number(physicalAddr));
     }
 
     writeVirtualUint8(virtualAddr, value) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 1, 'write');
-        if (physicalAddr < 0n || physicalAddr >= BigInt(this.memory.buffer.byteLength)) {
-            console.error(`Attempt to write physical address 0x${physicalAddr.toString(16)} outside memory bounds (0x0 to 0x${BigInt(this.memory.buffer.byteLength).toString(16)}).`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Write to physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 1, true);
         this.memory.writeUint8(Number(physicalAddr), value);
     }
 
     readVirtualUint16(virtualAddr) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 2, 'read');
-        if (physicalAddr < 0n || physicalAddr + 1n >= BigInt(this.memory.buffer.byteLength)) { // +1n for 2-byte read
-            console.error(`Attempt to read physical address 0x${physicalAddr.toString(16)} outside memory bounds.`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Read from physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 2, false);
         return this.memory.readUint16(Number(physicalAddr));
     }
 
     writeVirtualUint16(virtualAddr, value) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 2, 'write');
-        if (physicalAddr < 0n || physicalAddr + 1n >= BigInt(this.memory.buffer.byteLength)) { // +1n for 2-byte write
-            console.error(`Attempt to write physical address 0x${physicalAddr.toString(16)} outside memory bounds.`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Write to physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 2, true);
         this.memory.writeUint16(Number(physicalAddr), value);
     }
 
     readVirtualUint32(virtualAddr) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 4, 'read');
-        if (physicalAddr < 0n || physicalAddr + 3n >= BigInt(this.memory.buffer.byteLength)) { // +3n for 4-byte read
-            console.error(`Attempt to read physical address 0x${physicalAddr.toString(16)} outside memory bounds.`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Read from physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 4, false);
         return this.memory.readUint32(Number(physicalAddr));
     }
 
     writeVirtualUint32(virtualAddr, value) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 4, 'write');
-        if (physicalAddr < 0n || physicalAddr + 3n >= BigInt(this.memory.buffer.byteLength)) { // +3n for 4-byte write
-            console.error(`Attempt to write physical address 0x${physicalAddr.toString(16)} outside memory bounds.`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Write to physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 4, true);
         this.memory.writeUint32(Number(physicalAddr), value);
     }
 
     readVirtualBigUint64(virtualAddr) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 8, 'read');
-        if (physicalAddr < 0n || physicalAddr + 7n >= BigInt(this.memory.buffer.byteLength)) { // +7n for 8-byte read
-            console.error(`Attempt to read physical address 0x${physicalAddr.toString(16)} outside memory bounds.`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Read from physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 8, false);
         return this.memory.readBigUint64(Number(physicalAddr)); 
     }
 
     writeVirtualBigUint64(virtualAddr, value) {
         const physicalAddr = this.translateVirtualToPhysical(virtualAddr, 8, 'write');
-        if (physicalAddr < 0n || physicalAddr + 7n >= BigInt(this.memory.buffer.byteLength)) { // +7n for 8-byte write
-            console.error(`Attempt to write physical address 0x${physicalAddr.toString(16)} outside memory bounds.`);
-            throw new Error(`MEMORY_ACCESS_VIOLATION: Write to physical address 0x${physicalAddr.toString(16)}`);
-        }
+        this.checkPhysicalAccess(physicalAddr, 8, true);
         this.memory.writeBigUint64(Number(physicalAddr), value); 
     }
 
+    // Translates a linear address for a 'read', 'write' or 'execute' access. The access is checked against the
+    // permissions combined over every level of the walk: writable only if all levels allow writes (supervisor
+    // writes ignore this unless CR0.WP is set), user-accessible only if all levels set U/S, and not executable
+    // if any level sets XD (with EFER.NXE). A successful walk sets the accessed bit of every entry used and
+    // the dirty bit of the final entry on a write. Failures set CR2 and raise #PF with the architectural error code.
     translateVirtualToPhysical(virtualAddr, sizeBytes, accessType) {
-        if (this.mode === 'real') {
-            return virtualAddr;
+        // Accesses that bypass checkSegmentAccess (descriptor tables, instruction fetch) still need a canonical address.
+        if (this.mode === 'long') {
+            this.checkCanonicalAccess(virtualAddr, sizeBytes);
         }
 
-        const pgBit = (this.cr0 & CPU.CR0_PG) !== 0n;
-        const paeBit = (this.cr4 & CPU.CR4_PAE) !== 0n;
-        const lmeBit = (this.efer & CPU.EFER_LME) !== 0n;
+        // Alignment checking applies to misaligned data accesses made by CPL 3 code when CR0.AM and RFLAGS.AC are set.
+        if (this.flags.ac && (virtualAddr & BigInt(sizeBytes - 1)) !== 0n && (this.cr0 & CPU.CR0_AM) !== 0n &&
+            accessType !== 'execute' && this.getCPL() === 3 && !this.implicitSupervisorAccess) {
+            throw new AlignmentCheckException(`Misaligned ${sizeBytes}-byte access at 0x${virtualAddr.toString(16)}`);
+        }
 
-        // This guard determines when the full 4-level paging logic is active.
-        if (this.mode !== 'long' || !pgBit || !paeBit || !lmeBit) {
-            console.warn(`Paging not fully enabled for Long Mode. Current mode: ${this.mode}. CR0.PG=${pgBit}, CR4.PAE=${paeBit}, EFER.LME=${lmeBit}. Returning virtual as physical.`);
-            return virtualAddr; // Pass through if paging is not fully active
+        // Without paging (real mode, or protected mode with CR0.PG clear) linear addresses are physical.
+        if (this.mode === 'real' || (this.cr0 & CPU.CR0_PG) === 0n) {
+            return virtualAddr;
         }
 
-        // --- Paging Enabled for Long Mode (the real work begins here) ---
-        utils.log(`Paging: Translating virtual address 0x${virtualAddr.toString(16)} in ${this.mode} mode.`);
+        const isWrite = accessType === 'write';
+        const isFetch = accessType === 'execute';
+        const isUser = this.getCPL() === 3 && !this.implicitSupervisorAccess;
+        // Outside long mode linear addresses are 32 bits wide.
+        const linearAddr = (this.mode === 'long') ? virtualAddr & 0xFFFFFFFFFFFFFFFFn : virtualAddr & 0xFFFFFFFFn;
+
+        // A TLB hit skips the walk when the cached permissions allow the access. Writes also need the
+        // dirty bit to be set already; otherwise the walk runs again to set it.
+        const pageNumber = linearAddr >> 12n;
+        const cached = this.tlb.get(pageNumber);
+        if (cached !== undefined &&
+            (!isUser || cached.user) &&
+            (!isFetch || cached.executable) &&
+            (!isWrite || (cached.dirty && (cached.writable || (!isUser && (this.cr0 & CPU.CR0_WP) === 0n))))) {
+            this.tlbStats.hits++;
+            return cached.frame | (linearAddr & 0xFFFn);
+        }
+        this.tlbStats.misses++;
 
-        const pml4BasePhys = this.cr3 & ~0xFFFn;
-        utils.log(`  PML4 Base Phys: 0x${pml4BasePhys.toString(16).padStart(16, '0')}`); 
+        const legacy = this.mode === 'protected_32bit_paging';
+        const nxEnabled = !legacy && (this.efer & CPU.EFER_NXE) !== 0n;
 
-        const pml4Index = (virtualAddr >> 39n) & 0x1FFn; 
-        let pml4eAddr = pml4BasePhys + (pml4Index * 8n); 
-        utils.log(`  PML4E Addr: 0x${pml4eAddr.toString(16).padStart(16, '0')} (Index: ${pml4Index})`);
-        let pml4e = this.memory.readBigUint64(Number(pml4eAddr));
-        utils.log(`  PML4E Value: 0x${pml4e.toString(16).padStart(16, '0')}`);
+        let errorCode = (isWrite ? CPU.PF_ERROR_WRITE : 0) | (isUser ? CPU.PF_ERROR_USER : 0) | (isFetch && nxEnabled ? CPU.PF_ERROR_FETCH : 0);
+        const pageFault = (reason, extraBits) => {
+            this.cr2 = linearAddr;
+            errorCode |= extraBits;
+            return new PageFaultException(`${reason} for VA 0x${linearAddr.toString(16)} (error code 0x${errorCode.toString(16)})`, errorCode);
+        };
 
-        if ((pml4e & CPU.PTE_PRESENT) === 0n) {
-            console.error(`Page Fault (#PF): PML4E not present for VA 0x${virtualAddr.toString(16)}`);
-            throw new PageFaultException(`PML4E not present`, 0n);
-        }        
+        // Walk geometry: the linear address bit each level indexes from, the entry size and index width.
+        // Large pages are allowed at the PDPT level (1 GiB) and PD level (2 MiB, or 4 MiB with 32-bit paging and CR4.PSE).
+        let tableAddr;
+        let shifts;
+        if (this.mode === 'long') {
+            tableAddr = this.cr3 & CPU.PTE_ADDRESS_MASK;
+            shifts = [39n, 30n, 21n, 12n];
+        } else if (legacy) {
+            tableAddr = this.cr3 & 0xFFFFF000n;
+            shifts = [22n, 12n];
+        } else {
+            // PAE: the PDPTE cached from CR3 selects the page directory. PDPTEs carry no permission bits.
+            if (this.pdptes === null) {
+                this.pdptes = this.loadPaePdptes();
+            }
+            const pdpte = this.pdptes[Number(linearAddr >> 30n)];
+            if ((pdpte & CPU.PTE_PRESENT) === 0n) {
+                throw pageFault('PDPTE not present', 0);
+            }
+            tableAddr = pdpte & CPU.PTE_ADDRESS_MASK;
+            shifts = [21n, 12n];
+        }
+        const entrySize = legacy ? 4 : 8;
+        const indexMask = legacy ? 0x3FFn : 0x1FFn;
+        const levelNames = { 39n: 'PML4E', 30n: 'PDPTE', 21n: 'PDE', 22n: 'PDE', 12n: 'PTE' };
+        // Physical address bits above MAXPHYADDR, and XD while NX is disabled, are reserved in 8-byte entries
+        const physicalAddressBits = BigInt(this.cpuidConfig.physicalAddressBits);
+        const reservedBits = legacy ? 0n : (((1n << 52n) - 1n) & ~((1n << physicalAddressBits) - 1n)) | (nxEnabled ? 0n : CPU.PTE_NO_EXECUTE);
+
+        const walked = [];
+        let writable = true;
+        let userAccessible = true;
+        let executable = true;
+        let physical;
+        let pageMask;
+        for (const shift of shifts) {
+            const entryAddr = Number(tableAddr + ((linearAddr >> shift) & indexMask) * BigInt(entrySize));
+            this.checkPhysicalAccess(BigInt(entryAddr), entrySize, false);
+            const entry = legacy ? BigInt(this.memory.readUint32(entryAddr)) : this.memory.readBigUint64(entryAddr);
+            const levelName = levelNames[shift];
+            utils.log(`  ${levelName} at 0x${entryAddr.toString(16)} = 0x${entry.toString(16)}`);
+
+            if ((entry & CPU.PTE_PRESENT) === 0n) {
+                throw pageFault(`${levelName} not present`, 0);
+            }
 
-        let pdptBasePhys = pml4e & ~0xFFFn;
-        utils.log(`  PDPT Base Phys: 0x${pdptBasePhys.toString(16).padStart(16, '0')}`); 
-        const pdptIndex = (virtualAddr >> 30n) & 0x1FFn; 
-        let pdpteAddr = pdptBasePhys + (pdptIndex * 8n); 
-        utils.log(`  PDPTE Addr: 0x${pdpteAddr.toString(16).padStart(16, '0')} (Index: ${pdptIndex})`);
-        let pdpte = this.memory.readBigUint64(Number(pdpteAddr));
-        utils.log(`  PDPTE Value: 0x${pdpte.toString(16).padStart(16, '0')}`);
+            const pageSizeBit = (entry & CPU.PTE_PAGE_SIZE) !== 0n;
+            const isLargePage = pageSizeBit && (legacy ? shift === 22n && (this.cr4 & CPU.CR4_PSE) !== 0n : shift === 30n || shift === 21n);
+            let entryReserved = entry & reservedBits;
+            if (shift === 39n && pageSizeBit) {
+                entryReserved |= CPU.PTE_PAGE_SIZE; // PS is reserved in a PML4E
+            }
+            if (isLargePage) {
+                // Bits 12 (PAT) up to the page size are reserved above bit 12, except the PSE-36 address bits
+                entryReserved |= legacy ? (entry & (1n << 21n)) : (entry & ((1n << shift) - 1n) & ~0x1FFFn);
+            }
+            if (entryReserved !== 0n) {
+                throw pageFault(`${levelName} has reserved bits set`, CPU.PF_ERROR_PRESENT | CPU.PF_ERROR_RESERVED);
+            }
 
-        if ((pdpte & CPU.PTE_PRESENT) === 0n) {
-            console.error(`Page Fault (#PF): PDPTE not present for VA 0x${virtualAddr.toString(16)}`);
-            throw new PageFaultException(`PDPTE not present`, 0n);
+            writable &&= (entry & CPU.PTE_READ_WRITE) !== 0n;
+            userAccessible &&= (entry & CPU.PTE_USER_SUPER) !== 0n;
+            if (nxEnabled && (entry & CPU.PTE_NO_EXECUTE) !== 0n) {
+                executable = false;
+            }
+            walked.push({ entryAddr, entry });
+
+            if (isLargePage || shift === 12n) {
+                pageMask = (1n << shift) - 1n;
+                const frame = legacy
+                    ? (shift === 22n ? (entry & 0xFFC00000n) | (((entry >> 13n) & 0xFFn) << 32n) : entry & 0xFFFFF000n)
+                    : entry & CPU.PTE_ADDRESS_MASK & ~pageMask;
+                physical = frame | (linearAddr & pageMask);
+                break;
+            }
+            tableAddr = legacy ? entry & 0xFFFFF000n : entry & CPU.PTE_ADDRESS_MASK;
         }
 
-        if ((pdpte & CPU.PTE_PAGE_SIZE) !== 0n) { // 1GB page
-            const pageBaseAddr = pdpte & 0xFFFFFFFC0000000n; 
-            const offset = virtualAddr & 0x3FFFFFFFfn; 
-            const physical = pageBaseAddr | offset;
-            utils.log(`  Translated 1GB page: VA 0x${virtualAddr.toString(16)} -> PA 0x${physical.toString(16)}`);
-            return physical;
+        if (isUser && !userAccessible) {
+            throw pageFault('User-mode access to a supervisor page', CPU.PF_ERROR_PRESENT);
+        }
+        if (isWrite && !writable && (isUser || (this.cr0 & CPU.CR0_WP) !== 0n)) {
+            throw pageFault('Write to a read-only page', CPU.PF_ERROR_PRESENT);
+        }
+        if (isFetch && !executable) {
+            throw pageFault('Instruction fetch from a no-execute page', CPU.PF_ERROR_PRESENT);
         }
 
-        let pdBasePhys = pdpte & ~0xFFFn;
-        utils.log(`  PD Base Phys: 0x${pdBasePhys.toString(16).padStart(16, '0')}`); 
-        const pdIndex = (virtualAddr >> 21n) & 0x1FFn; 
-        let pdeAddr = pdBasePhys + (pdIndex * 8n); 
-        utils.log(`  PDE Addr: 0x${pdeAddr.toString(16).padStart(16, '0')} (Index: ${pdIndex})`);
-        let pde = this.memory.readBigUint64(Number(pdeAddr));
-        utils.log(`  PDE Value: 0x${pde.toString(16).padStart(16, '0')}`);
+        // Set A on every entry used and D on the final one for writes
+        let leafEntry;
+        walked.forEach(({ entryAddr, entry }, index) => {
+            let updated = entry | CPU.PTE_ACCESSED;
+            if (isWrite && index === walked.length - 1) {
+                updated |= CPU.PTE_DIRTY;
+            }
+            if (updated !== entry) {
+                this.checkPhysicalAccess(BigInt(entryAddr), entrySize, true);
+                if (legacy) {
+                    this.memory.writeUint32(entryAddr, Number(updated));
+                } else {
+                    this.memory.writeBigUint64(entryAddr, updated);
+                }
+            }
+            leafEntry = updated;
+        });
 
-        if ((pde & CPU.PTE_PRESENT) === 0n) {
-            console.error(`Page Fault (#PF): PDE not present for VA 0x${virtualAddr.toString(16)}`);
-            throw new PageFaultException(`PDE not present`, 0n);
+        // Cache the translation of this 4 KiB page. Entries of large pages remember the page size so
+        // INVLPG anywhere inside the large page drops them.
+        if (this.tlb.size >= CPU.TLB_CAPACITY) {
+            this.tlb.delete(this.tlb.keys().next().value); // Evict the oldest entry
         }
+        this.tlb.set(pageNumber, {
+            frame: physical & ~0xFFFn,
+            pageMask,
+            writable,
+            user: userAccessible,
+            executable,
+            dirty: (leafEntry & CPU.PTE_DIRTY) !== 0n,
+            global: (leafEntry & CPU.PTE_GLOBAL) !== 0n && (this.cr4 & CPU.CR4_PGE) !== 0n,
+        });
+
+        utils.log(`  Translated VA 0x${linearAddr.toString(16)} -> PA 0x${physical.toString(16)} (${accessType})`);
+        return physical;
+    }
 
-        if ((pde & CPU.PTE_PAGE_SIZE) !== 0n) { // 2MB page
-            const pageBaseAddr = pde & 0xFFFFFFFE00000n; 
-            const offset = virtualAddr & 0x1FFFFFn; 
-            const physical = pageBaseAddr | offset;
-            utils.log(`  Translated 2MB page: VA 0x${virtualAddr.toString(16)} -> PA 0x${physical.toString(16)}`);
-            return physical;
+    // Drops cached translations: all of them, or only the non-global ones (as MOV CR3 does).
+    flushTlb(includeGlobal) {
+        if (includeGlobal) {
+            this.tlb.clear();
+        } else {
+            for (const [page, entry] of this.tlb) {
+                if (!entry.global) this.tlb.delete(page);
+            }
         }
+        this.tlbStats.flushes++;
+    }
 
-        let ptBasePhys = pde & ~0xFFFn;
-        utils.log(`  PT Base Phys: 0x${ptBasePhys.toString(16).padStart(16, '0')}`); 
-        const ptIndex = (virtualAddr >> 12n) & 0x1FFn; 
-        let pteAddr = ptBasePhys + (ptIndex * 8n); 
-        utils.log(`  PTE Addr: 0x${pteAddr.toString(16).padStart(16, '0')} (Index: ${ptIndex})`);
-        let pte = this.memory.readBigUint64(Number(pteAddr));
-        utils.log(`  PTE Value: 0x${pte.toString(16).padStart(16, '0')}`);
-
-        if ((pte & CPU.PTE_PRESENT) === 0n) {
-            console.error(`Page Fault (#PF): PTE not present for VA 0x${virtualAddr.toString(16)}`);
-            throw new PageFaultException(`PTE not present`, 0n);
+    // Drops the cached translations of the page containing `linearAddr`, including every 4 KiB
+    // entry cached for a large page that contains it.
+    invalidateTlbPage(linearAddr, includeGlobal) {
+        for (const [page, entry] of this.tlb) {
+            if ((includeGlobal || !entry.global) && ((page << 12n) & ~entry.pageMask) === (linearAddr & ~entry.pageMask)) {
+                this.tlb.delete(page);
+            }
         }
+        this.tlbStats.invalidations++;
+    }
 
-        if (accessType === 'write' && (pte & CPU.PTE_READ_WRITE) === 0n) {
-            // The page is present but read-only. This is a page fault.
-            // The error code for a protection violation has bit 0 set.
-            throw new PageFaultException(`Protection Violation on write to VA 0x${virtualAddr.toString(16)}`, 1n);
-        }
+    // TLB counters plus the current entry count and hit rate (hits / lookups).
+    getTlbStats() {
+        const lookups = this.tlbStats.hits + this.tlbStats.misses;
+        return { ...this.tlbStats, entries: this.tlb.size, hitRate: lookups === 0 ? 0 : this.tlbStats.hits / lookups };
+    }
 
-        const pageBaseAddr = pte & ~0xFFFn; 
-        const offset = virtualAddr & 0xFFFn; 
-        const physical = pageBaseAddr | offset;
-        utils.log(`  Final Page Base Addr: 0x${pageBaseAddr.toString(16).padStart(16, '0')}`);
-        utils.log(`  Page Offset: 0x${offset.toString(16).padStart(3, '0')}`);
-        utils.log(`  Calculated Physical: 0x${physical.toString(16).padStart(16, '0')}`);
+    // Runs `access` as an implicit supervisor-mode access (the CPU reading the GDT or IDT), which paging
+    // checks as supervisor even at CPL 3.
+    asSupervisorAccess(access) {
+        const previous = this.implicitSupervisorAccess;
+        this.implicitSupervisorAccess = true;
+        try {
+            return access();
+        } finally {
+            this.implicitSupervisorAccess = previous;
+        }
+    }
 
-        return physical;
+    // Loads the four PDPTEs from the 32-byte aligned table at CR3 (or at `cr3Value` for a pending MOV CR3).
+    // A present entry with reserved bits set raises #GP(0).
+    loadPaePdptes(cr3Value = this.cr3) {
+        const tableAddr = Number(cr3Value & 0xFFFFFFE0n);
+        const pdptes = [];
+        for (let i = 0; i < 4; i++) {
+            this.checkPhysicalAccess(BigInt(tableAddr + i * 8), 8, false);
+            const pdpte = this.memory.readBigUint64(tableAddr + i * 8);
+            if ((pdpte & CPU.PTE_PRESENT) !== 0n && (pdpte & CPU.PDPTE_RESERVED_BITS) !== 0n) {
+                throw new GeneralProtectionException(`PDPTE ${i} (0x${pdpte.toString(16)}) has reserved bits set`);
+            }
+            pdptes.push(pdpte);
+        }
+        utils.log(`  Loaded PAE PDPTEs from 0x${tableAddr.toString(16)}: ${pdptes.map(e => `0x${e.toString(16)}`).join(', ')}`);
+        return pdptes;
     }
 
-    triggerInterrupt(interruptNumber, errorCode = null) {
+    // Delivers an interrupt or exception through the IDT. `isSoftware` marks INT n, INT3 and INTO, which
+    // may only use gates whose DPL is at least the current privilege level. A fault while reading the gate
+    // or pushing the frame leaves CS, SS and RSP unchanged; its error code names the IDT entry, with the EXT
+    // bit set unless the event was a software interrupt.
+    //
+    // Long mode uses 16-byte gates and always pushes SS, RSP, RFLAGS, CS, RIP and the optional error code,
+    // after aligning RSP to 16 bytes. The stack switches to TSS.RSPn when the handler is more privileged,
+    // and to TSS.ISTn whenever the gate names an IST entry. Legacy protected mode uses 8-byte gates and
+    // pushes SS:ESP (taken from TSS.SSn:ESPn) only on a privilege change. Interrupt gates clear IF; trap
+    // gates leave it alone.
+    triggerInterrupt(interruptNumber, errorCode = null, isSoftware = false) {
         utils.log(`--- INTERRUPT TRIGGERED: #${interruptNumber} ---`);
 
-        const descriptorAddr = this.idtr.base + BigInt(interruptNumber * 16);
+        if (this.mode === 'real') {
+            this.triggerRealModeInterrupt(interruptNumber);
+            return;
+        }
 
-        utils.log(`  IDTR.base = 0x${this.idtr.base.toString(16)}`);
-        utils.log(`  Interrupt #${interruptNumber} @ 0x${descriptorAddr.toString(16)}`);
-        utils.log(`  Raw bytes: ${[...new Uint8Array(this.memory.buffer.slice(Number(descriptorAddr), Number(descriptorAddr + 16n)))]
-            .map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
+        const longMode = this.mode === 'long';
+        const gateBytes = longMode ? 16 : 8;
+        const ext = isSoftware ? 0 : 1;
+        const idtErrorCode = (interruptNumber << 3) | 2 | ext;
+        if (interruptNumber * gateBytes + gateBytes - 1 > this.idtr.limit) {
+            throw new GeneralProtectionException(`Vector ${interruptNumber} is beyond the IDT limit 0x${this.idtr.limit.toString(16)}`, idtErrorCode);
+        }
 
-        const lowSlice = this.readVirtualBigUint64(descriptorAddr);
-        const highSlice = this.readVirtualBigUint64(descriptorAddr + 8n);
-        utils.log(`DEBUG: Descriptor at 0x${descriptorAddr.toString(16)} is: LOW=0x${lowSlice.toString(16)} HIGH=0x${highSlice.toString(16)}`);
+        const descriptorAddr = this.idtr.base + BigInt(interruptNumber * gateBytes);
+        const [lowSlice, highSlice] = this.asSupervisorAccess(() => [
+            this.readVirtualBigUint64(descriptorAddr),
+            longMode ? this.readVirtualBigUint64(descriptorAddr + 8n) : 0n,
+        ]);
+        utils.log(`  Gate at 0x${descriptorAddr.toString(16)}: LOW=0x${lowSlice.toString(16)} HIGH=0x${highSlice.toString(16)}`);
 
-        // === FINAL, CORRECTED PARSING LOGIC v3 ===
-        // This logic correctly decodes the structure created by the assembly code.
         const offset_15_0  = lowSlice & 0xFFFFn;
         const offset_31_16 = (lowSlice >> 48n) & 0xFFFFn;
         const offset_63_32 = highSlice & 0xFFFFFFFFn;
-
         const handlerAddr = (offset_63_32 << 32n) | (offset_31_16 << 16n) | offset_15_0;
-        // ===========================================
 
         const segmentSelector = (lowSlice >> 16n) & 0xFFFFn;
+        const ist = longMode ? Number((lowSlice >> 32n) & 0x7n) : 0;
         const type_attrs = (lowSlice >> 40n) & 0xFFn;
         const present = (type_attrs & 0x80n) !== 0n;
+        const gateType = Number(type_attrs & 0x1Fn); // Including the S bit, which must be clear
+
+        // Interrupt (0xE) and trap (0xF) gates; legacy IDTs may also hold their 16-bit forms (0x6, 0x7).
+        // Task gates are not supported.
+        const validGate = (gateType === 0xE || gateType === 0xF || (!longMode && (gateType === 0x6 || gateType === 0x7)));
+        if (!validGate) {
+            throw new GeneralProtectionException(`IDT entry ${interruptNumber} has invalid gate type 0x${gateType.toString(16)}`, idtErrorCode);
+        }
+        const isTrapGate = (gateType & 1) === 1;
+        const frameSize = longMode ? 8 : ((gateType & 0x8) ? 4 : 2);
+
+        const gateDPL = Number((type_attrs >> 5n) & 0x3n);
+        const oldCpl = this.getCPL();
+        if (isSoftware && gateDPL < oldCpl) {
+            throw new GeneralProtectionException(`INT ${interruptNumber} through gate with DPL ${gateDPL} at CPL ${oldCpl}`, idtErrorCode);
+        }
 
         if (!present) {
-            throw new Error(`Interrupt Handler #${interruptNumber} not present! Double Fault.`);
-        }
-
-        // Push state onto the stack
-        this.rsp -= 8n;
-        this.writeVirtualBigUint64(this.rsp, this.assembleRFlags());
-        this.rsp -= 8n;
-        this.writeVirtualBigUint64(this.rsp, segmentSelector);
-        this.rsp -= 8n;
-        this.writeVirtualBigUint64(this.rsp, this.rip);
-        if (errorCode !== null) {
-            this.rsp -= 8n;
-            this.writeVirtualBigUint64(this.rsp, errorCode);
-        }
-        this.rsp -= 8n;
-        this.writeVirtualBigUint64(this.rsp, BigInt(interruptNumber));
-
-        utils.log(`DEBUG: Parsed handlerAddr = 0x${handlerAddr.toString(16)}`);
-        utils.log(`  offset_15_0  = 0x${offset_15_0.toString(16)}`);
-        utils.log(`  offset_31_16 = 0x${offset_31_16.toString(16)}`);
-        utils.log(`  offset_63_32 = 0x${offset_63_32.toString(16)}`);
-
-        // Jump to the handler
-        this.rip = handlerAddr;
-        
-        utils.log(`  Jumping to handler at 0x${handlerAddr.toString(16)}`);
+            throw new SegmentNotPresentException(`IDT entry ${interruptNumber} is not present`, idtErrorCode);
+        }
+
+        // Everything below may fault part-way through, so the old CS, SS and RSP are put back on failure
+        const saved = this.saveStackAndCodeSegments();
+        const savedRFlags = this.assembleRFlags();
+        const returnRip = this.rip;
+        try {
+            // The handler runs in the code segment named by the gate, at that segment's DPL unless it is conforming
+            const selectorError = Number(segmentSelector & 0xFFFCn) | ext;
+            this.loadSegmentRegister('cs', segmentSelector & 0xFFFCn);
+            const csAttributes = this.segmentCache.cs.attributes;
+            const csDPL = (csAttributes >> 5) & 3;
+            if (csDPL > oldCpl) {
+                throw new GeneralProtectionException(`Interrupt handler segment 0x${segmentSelector.toString(16)} has DPL ${csDPL} above CPL ${oldCpl}`, selectorError);
+            }
+            if (longMode && (csAttributes & (CPU.SEG_ATTR_L | CPU.SEG_ATTR_DB)) !== CPU.SEG_ATTR_L) {
+                throw new GeneralProtectionException(`Interrupt handler segment 0x${segmentSelector.toString(16)} is not a 64-bit code segment`, selectorError);
+            }
+            const conforming = (csAttributes & CPU.SEG_ATTR_EXPAND_DOWN) !== 0;
+            const newCpl = conforming ? oldCpl : csDPL;
+            this.cs = (segmentSelector & 0xFFFCn) | BigInt(newCpl);
+
+            if (longMode) {
+                // A privilege change loads SS with a null selector whose RPL is the new CPL
+                let newRsp = saved.rsp;
+                if (newCpl < oldCpl) {
+                    newRsp = this.readTssField(CPU.TSS64_RSP0 + newCpl * 8, 8);
+                    this.loadSegmentRegister('ss', BigInt(newCpl));
+                }
+                if (ist !== 0) {
+                    newRsp = this.readTssField(CPU.TSS64_IST1 + (ist - 1) * 8, 8);
+                }
+                this.rsp = newRsp & ~0xFn;
+                this.pushStack(saved.ss, 8);
+                this.pushStack(saved.rsp, 8);
+            } else if (newCpl < oldCpl) {
+                const newEsp = this.readTssField(CPU.TSS32_ESP0 + newCpl * 8, 4);
+                const newSs = this.readTssField(CPU.TSS32_SS0 + newCpl * 8, 2);
+                const tssError = Number(newSs & 0xFFFCn) | ext;
+                try {
+                    this.loadSegmentRegister('ss', newSs);
+                } catch (e) {
+                    throw (e instanceof CPUException) ? new InvalidTssException(`Invalid SS${newCpl} in TSS: ${e.message}`, tssError) : e;
+                }
+                if (Number(newSs & 3n) !== newCpl || ((this.segmentCache.ss.attributes >> 5) & 3) !== newCpl) {
+                    throw new InvalidTssException(`SS${newCpl} selector 0x${newSs.toString(16)} does not match CPL ${newCpl}`, tssError);
+                }
+                this.rsp = newEsp;
+                this.pushStack(saved.ss, frameSize);
+                this.pushStack(saved.rsp, frameSize);
+            }
+
+            this.pushStack(savedRFlags, frameSize);
+            this.pushStack(saved.cs, frameSize);
+            this.pushStack(returnRip, frameSize);
+            if (errorCode !== null) {
+                this.pushStack(BigInt(errorCode), frameSize);
+            }
+        } catch (e) {
+            this.restoreStackAndCodeSegments(saved);
+            throw e;
+        }
+
+        // The handler starts with single-stepping and nested-task state cleared; the saved RFLAGS image
+        // restores them on IRET. Only interrupt gates also mask external interrupts.
+        this.flags.tf = 0;
+        this.flags.nt = 0;
+        this.flags.rf = 0;
+        this.flags.vm = 0;
+        if (!isTrapGate) {
+            this.flags.if = 0;
+        }
+
+        this.rip = (frameSize === 2) ? handlerAddr & 0xFFFFn : handlerAddr;
+        utils.log(`  Jumping to handler at 0x${this.cs.toString(16)}:0x${this.rip.toString(16)}`);
+    }
+
+    // Snapshot of CS, SS and RSP (selectors and cached descriptors) for undoing a control transfer that faults.
+    saveStackAndCodeSegments() {
+        return {
+            cs: this.cs, csCache: { ...this.segmentCache.cs },
+            ss: this.ss, ssCache: { ...this.segmentCache.ss },
+            rsp: this.rsp,
+        };
+    }
+
+    restoreStackAndCodeSegments(saved) {
+        this.cs = saved.cs;
+        this.segmentCache.cs = saved.csCache;
+        this.ss = saved.ss;
+        this.segmentCache.ss = saved.ssCache;
+        this.rsp = saved.rsp;
+    }
+
+    // Reads a field of the current TSS (see LTR). Fields beyond the TSS limit raise #TS with the TSS selector.
+    readTssField(offset, sizeBytes) {
+        if (BigInt(offset + sizeBytes - 1) > this.tr.limit) {
+            throw new InvalidTssException(`TSS field at offset ${offset} is beyond the TSS limit 0x${this.tr.limit.toString(16)}`, Number(this.tr.selector & 0xFFFCn));
+        }
+        return this.asSupervisorAccess(() => this.readVirtual(this.tr.base + BigInt(offset), sizeBytes));
+    }
+
+    // IN and OUT at CPL > IOPL (outside real mode) may only use ports whose bits are clear in the TSS I/O
+    // permission bitmap, which starts at the offset stored at TSS+102. Denied or out-of-limit ports raise #GP(0).
+    checkIoPermission(port, sizeBytes) {
+        if (this.mode === 'real' || this.getCPL() <= this.flags.iopl) {
+            return;
+        }
+        const denied = (message) => new GeneralProtectionException(`I/O to port 0x${port.toString(16)} at CPL ${this.getCPL()}: ${message}`);
+        if (this.tr.limit < BigInt(CPU.TSS_IO_MAP_BASE + 1)) {
+            throw denied("the TSS has no I/O permission bitmap");
+        }
+        const bitmapBase = Number(this.asSupervisorAccess(() => this.readVirtualUint16(this.tr.base + BigInt(CPU.TSS_IO_MAP_BASE))));
+        const byteOffset = bitmapBase + (port >> 3);
+        if (BigInt(byteOffset + 1) > this.tr.limit) {
+            throw denied("beyond the I/O permission bitmap");
+        }
+        const bits = this.asSupervisorAccess(() => this.readVirtualUint16(this.tr.base + BigInt(byteOffset))) >> (port & 7);
+        if ((bits & ((1 << sizeBytes) - 1)) !== 0) {
+            throw denied("denied by the I/O permission bitmap");
+        }
+    }
+
+    // Loads the task register from an available TSS descriptor in the GDT (16 bytes long in long mode) and
+    // marks the descriptor busy.
+    loadTaskRegister(selector) {
+        selector = BigInt(selector) & 0xFFFFn;
+        const errorCode = Number(selector & 0xFFFCn);
+        if ((selector & 0xFFFCn) === 0n) {
+            throw new GeneralProtectionException("Null selector loaded into TR", 0);
+        }
+        if ((selector & 4n) !== 0n) {
+            throw new GeneralProtectionException(`TR selector 0x${selector.toString(16)} references the LDT`, errorCode);
+        }
+        const descriptorBytes = (this.mode === 'long') ? 16n : 8n;
+        if ((selector & 0xFFF8n) + descriptorBytes - 1n > BigInt(this.gdtr.limit)) {
+            throw new GeneralProtectionException(`TR selector 0x${selector.toString(16)} is beyond the GDT limit`, errorCode);
+        }
+
+        const descriptorAddr = this.gdtr.base + (selector & 0xFFF8n);
+        const [low, high] = this.asSupervisorAccess(() => [
+            this.readVirtualBigUint64(descriptorAddr),
+            (descriptorBytes === 16n) ? this.readVirtualBigUint64(descriptorAddr + 8n) : 0n,
+        ]);
+        const attributes = Number((low >> 40n) & 0xF0FFn);
+
+        // System descriptor type 0x9 is an available 32-bit (64-bit in long mode) TSS. 16-bit TSSs are not supported.
+        const type = attributes & 0x1F;
+        if (type !== 0x9) {
+            throw new GeneralProtectionException(`Descriptor 0x${low.toString(16)} is not an available TSS`, errorCode);
+        }
+        if ((attributes & CPU.SEG_ATTR_PRESENT) === 0) {
+            throw new SegmentNotPresentException(`TSS descriptor for selector 0x${selector.toString(16)} is not present`, errorCode);
+        }
+
+        // Busy TSS types are the available ones with bit 1 set
+        this.asSupervisorAccess(() => this.writeVirtualBigUint64(descriptorAddr, low | (0x2n << 40n)));
+
+        let limit = (low & 0xFFFFn) | (((low >> 48n) & 0xFn) << 16n);
+        if ((attributes & CPU.SEG_ATTR_G) !== 0) {
+            limit = (limit << 12n) | 0xFFFn;
+        }
+        const base = ((low >> 16n) & 0xFFFFFFn) | (((low >> 56n) & 0xFFn) << 24n) | ((high & 0xFFFFFFFFn) << 32n);
+        this.tr = { selector, base, limit, attributes: attributes | 0x2 };
+        utils.log(`  TR = 0x${selector.toString(16)} (base 0x${base.toString(16)}, limit 0x${limit.toString(16)})`);
+    }
+
+    // Delivers an interrupt through the real-mode interrupt vector table (IVT): 4-byte offset:segment
+    // entries at IDTR.base (0 after reset). Real mode has no error codes and no privilege checks.
+    triggerRealModeInterrupt(interruptNumber) {
+        if (interruptNumber * 4 + 3 > this.idtr.limit) {
+            throw new GeneralProtectionException(`Vector ${interruptNumber} is beyond the IVT limit 0x${this.idtr.limit.toString(16)}`);
+        }
+        const entryAddr = Number(this.idtr.base) + interruptNumber * 4;
+        this.checkPhysicalAccess(BigInt(entryAddr), 4, false);
+        const offset = BigInt(this.memory.readUint16(entryAddr));
+        const segment = BigInt(this.memory.readUint16(entryAddr + 2));
+
+        this.pushStack(this.assembleRFlags() & 0xFFFFn, 2);
+        this.pushStack(this.cs, 2);
+        this.pushStack(this.rip, 2);
+
+        this.flags.if = 0;
+        this.flags.tf = 0;
+        this.flags.ac = 0;
+
+        this.loadSegmentRegister('cs', segment);
+        this.rip = offset;
+
+        utils.log(`  Jumping to real-mode handler at 0x${segment.toString(16)}:0x${offset.toString(16)}`);
+    }
+
+    // Delivers an exception, or with `isException` false an external interrupt, and resolves faults raised
+    // while delivering it. A contributory fault (#DE, #TS, #NP, #SS, #GP) during delivery of a contributory
+    // exception, or a contributory fault or #PF during delivery of #PF, becomes #DF. Any fault while
+    // delivering #DF is a triple fault. Other faults are delivered in place of the original event.
+    deliverEvent(vector, errorCode = null, isException = true) {
+        while (true) {
+            try {
+                this.triggerInterrupt(vector, errorCode);
+                return;
+            } catch (e) {
+                if (!(e instanceof CPUException)) throw e;
+                utils.log(`--- ${e.name} (#${e.vector}) while delivering #${vector}: ${e.message} ---`);
+
+                if (isException && vector === 8) {
+                    this.tripleFault(e);
+                    return;
+                }
+                const first = isException ? CPU.exceptionClass(vector) : 'benign';
+                const second = CPU.exceptionClass(e.vector);
+                if ((first === 'contributory' && second === 'contributory') ||
+                    (first === 'pageFault' && second !== 'benign')) {
+                    const doubleFault = new DoubleFaultException(`#${e.vector} while delivering #${vector}`);
+                    utils.log(`--- Escalating to ${doubleFault.name}: ${doubleFault.message} ---`);
+                    [vector, errorCode] = [doubleFault.vector, doubleFault.errorCode];
+                } else {
+                    [vector, errorCode] = [e.vector, e.errorCode];
+                }
+                isException = true;
+            }
+        }
+    }
+
+    // Double-fault class of an exception vector: 'pageFault', 'contributory' or 'benign'.
+    static exceptionClass(vector) {
+        if (vector === 14) return 'pageFault';
+        return CPU.CONTRIBUTORY_EXCEPTIONS.has(vector) ? 'contributory' : 'benign';
+    }
+
+    // A triple fault shuts the processor down, which the chipset turns into a machine reset. Reset listeners
+    // (see addResetListener) run after the CPU is back in its power-on state.
+    tripleFault(cause) {
+        utils.log(`--- TRIPLE FAULT: ${cause.name} (#${cause.vector}) while delivering #DF: ${cause.message}. Resetting. ---`);
+        this.reset();
+        const event = { reason: 'triple-fault', vector: cause.vector, errorCode: cause.errorCode, message: cause.message };
+        for (const listener of this.resetListeners) {
+            listener(event);
+        }
+    }
+
+    // Registers `listener(event)` to be called whenever the machine resets. `event.reason` is 'triple-fault'
+    // for a processor shutdown.
+    addResetListener(listener) {
+        this.resetListeners.push(listener);
+    }
+
+    // Returns the processor to its power-on state: real mode, CS:IP at the reset vector F000:FFF0 (CS base
+    // 0xFFFF0000), paging and caches off. Memory, devices and CPUID configuration are left alone.
+    reset() {
+        for (const reg of CPU.GENERAL_PURPOSE_REGISTERS) {
+            this[reg] = 0n;
+        }
+        for (const name of Object.keys(this.flags)) {
+            this.flags[name] = 0;
+        }
+        this.rflags = 0n;
+        this.cr0 = 0n;
+        this.cr2 = 0n;
+        this.cr3 = 0n;
+        this.cr4 = 0n;
+        this.efer = 0n;
+        this.mode = 'real';
+        this.pdptes = null;
+        this.flushTlb(true);
+
+        this.idtr = { base: 0n, limit: 0xFFFF };
+        this.gdtr = { base: 0n, limit: 0xFFFF };
+        this.tr = { selector: 0n, base: 0n, limit: 0xFFFFn, attributes: 0x8B };
+        for (const segment of CPU.SEGMENT_REGISTERS) {
+            this.loadSegmentRegister(segment, 0n);
+        }
+        this.loadSegmentRegister('cs', 0xF000n);
+        this.segmentCache.cs.base = 0xFFFF0000n;
+        this.rip = 0xFFF0n;
+
+        this.kernelGsBase = 0n;
+        this.star = 0n;
+        this.lstar = 0n;
+        this.cstar = 0n;
+        this.fmask = 0n;
+        this.tscAux = 0n;
+        this.tscOffset = -this.instructionsRetired; // The time stamp counter restarts from 0
+
+        this.interruptQueue = [];
+        this.halted = false;
+        this.singleStepPending = false;
+        this.implicitSupervisorAccess = false;
     }
 
     assembleRFlags() {
-        let flags = 0n;
-        if (this.flags.cf) flags |= (1n << CPU.FLAG_CF_BIT);
-        if (this.flags.zf) flags |= (1n << CPU.FLAG_ZF_BIT);
-        if (this.flags.sf) flags |= (1n << CPU.FLAG_SF_BIT);
-        if (this.flags.of) flags |= (1n << CPU.FLAG_OF_BIT);
-        if (this.flags.if) flags |= (1n << CPU.FLAG_IF_BIT);
-        // Always set bit 1 to 1, as per specification
-        flags |= (1n << 1n);
+        let flags = CPU.RFLAGS_FIXED_ONES;
+        for (const [name, bit] of Object.entries(CPU.FLAG_BITS)) {
+            if (this.flags[name]) flags |= (1n << bit);
+        }
+        flags |= (BigInt(this.flags.iopl) & 0x3n) << CPU.FLAG_IOPL_SHIFT;
         return flags;
     }
 
     disassembleRFlags(rflagsValue) {
-        this.flags.cf = ((rflagsValue >> CPU.FLAG_CF_BIT) & 1n) === 1n ? 1 : 0;
-        this.flags.zf = ((rflagsValue >> CPU.FLAG_ZF_BIT) & 1n) === 1n ? 1 : 0;
-        this.flags.sf = ((rflagsValue >> CPU.FLAG_SF_BIT) & 1n) === 1n ? 1 : 0;
-        this.flags.of = ((rflagsValue >> CPU.FLAG_OF_BIT) & 1n) === 1n ? 1 : 0;
-        this.flags.if = ((rflagsValue >> CPU.FLAG_IF_BIT) & 1n) === 1n ? 1 : 0;
+        // Reserved bits are simply ignored; assembleRFlags() regenerates their fixed values.
+        for (const [name, bit] of Object.entries(CPU.FLAG_BITS)) {
+            this.flags[name] = ((rflagsValue >> bit) & 1n) === 1n ? 1 : 0;
+        }
+        this.flags.iopl = Number((rflagsValue >> CPU.FLAG_IOPL_SHIFT) & 0x3n);
+    }
+
+    // Attaches a debugger. `dbg.onBreakpoint(address)`, if defined, is called with the address of every
+    // INT3 executed by the guest, before the breakpoint exception is delivered.
+    attachDebugger(dbg) {
+        this.debugger = dbg;
     }
 
+    // Attaches the external interrupt controller (e.g. a PIC8259Pair). `controller.hasInterrupt()` reports
+    // whether its INTR output is asserted and `controller.acknowledge()` performs the interrupt acknowledge
+    // cycle, returning the vector to deliver.
+    attachInterruptController(controller) {
+        this.interruptController = controller;
+    }
+
+    // Queues a vector directly, without going through the interrupt controller. Queued vectors are kept
+    // while interrupts are disabled and take precedence over the controller's.
     raiseInterrupt(interruptNumber) {
-        // In a real system, this would go through an Interrupt Controller (PIC).
-        // For now, we'll just queue it. We need a queue in case an interrupt
-        // happens while the CPU has interrupts disabled.
         this.interruptQueue.push(interruptNumber);
     }
+
+    hasPendingInterrupt() {
+        return this.interruptQueue.length > 0 || (this.interruptController?.hasInterrupt() ?? false);
+    }
+
+    // Interrupt acknowledge: obtains the vector of the highest priority pending maskable interrupt.
+    acknowledgeInterrupt() {
+        if (this.interruptQueue.length > 0) return this.interruptQueue.shift();
+        return this.interruptController.acknowledge();
+    }
 }
\ No newline at end of file
@@ -2,4 +2,5 @@ export * from "./cpu.js";
 export * from "./memory.js";
 // export { Debugger } from "./debugger.js";
 export * from "./io.js";
+export * from "./pic.js";
 export * from "./utils.js";
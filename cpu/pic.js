@@ -0,0 +1,280 @@
+import { Device } from "./io.js";
+import { log } from "./utils.js";
+
+// A single 8259A programmable interrupt controller. Interrupt request lines are numbered 0-7;
+// PIC8259Pair wires two of them together the way a PC/AT does.
+export class PIC8259 {
+    constructor(name) {
+        this.name = name;
+        this.lines = 0; // Current level of each IR input
+        this.elcr = 0; // Per-line level trigger select (ELCR), in addition to ICW1.LTIM
+        this.slaveLines = 0; // Lines driven by a slave's INT output, which are sensed by level
+        this.reset();
+    }
+
+    // Power-on state. The 8259A is undefined until initialized, so every line starts out masked
+    // and the vector base is left at 0 until the guest sends ICW2.
+    reset() {
+        this.irr = 0; // Interrupt Request Register
+        this.isr = 0; // In-Service Register
+        this.imr = 0xFF; // Interrupt Mask Register (OCW1)
+        this.vectorBase = 0; // ICW2, T7-T3
+        this.levelTriggered = false; // ICW1.LTIM
+        this.singleMode = false; // ICW1.SNGL
+        this.icw4Needed = false; // ICW1.IC4
+        this.cascade = 0; // ICW3: slave lines (master) or slave ID (slave)
+        this.autoEoi = false; // ICW4.AEOI
+        this.initStep = 0; // Next ICW expected on the odd port (2-4), or 0 once initialized
+        this.lowestPriority = 7; // The line after it has the highest priority; 7 gives IR0 > IR1 > ... > IR7
+        this.rotateOnAutoEoi = false;
+        this.readIsr = false; // OCW3.RIS: the even port reads ISR instead of IRR
+        this.pollPending = false; // OCW3.P: the next even port read is a poll
+        this.specialMask = false; // OCW3.SMM
+    }
+
+    isLevelTriggered(line) {
+        return this.levelTriggered || (((this.elcr | this.slaveLines) >> line) & 1) === 1;
+    }
+
+    // Drives IR input `line`. Edge-triggered lines latch a request into IRR on a rising edge; a request
+    // on a level-triggered line lasts only as long as the line stays high.
+    setIrq(line, level) {
+        const bit = 1 << line;
+        const wasHigh = (this.lines & bit) !== 0;
+        this.lines = level ? (this.lines | bit) : (this.lines & ~bit);
+
+        if (this.isLevelTriggered(line)) {
+            this.irr = level ? (this.irr | bit) : (this.irr & ~bit);
+        } else if (level && !wasHigh) {
+            this.irr |= bit;
+        }
+    }
+
+    // Returns the highest priority line set in `mask` under the current rotation, or -1.
+    highestPriority(mask) {
+        for (let i = 1; i <= 8; i++) {
+            const line = (this.lowestPriority + i) & 7;
+            if (mask & (1 << line)) return line;
+        }
+        return -1;
+    }
+
+    // Returns the unmasked request that would be serviced next, or -1 if INT is not asserted. A request
+    // must have a higher priority than every level in service, except in special mask mode where only
+    // its own ISR bit blocks it.
+    pendingLine() {
+        const requests = this.irr & ~this.imr & 0xFF;
+        if (this.specialMask) return this.highestPriority(requests & ~this.isr);
+
+        const request = this.highestPriority(requests);
+        if (request === -1) return -1;
+        const inService = this.highestPriority(this.isr);
+        if (inService !== -1 && this.priorityRank(inService) <= this.priorityRank(request)) return -1;
+        return request;
+    }
+
+    // 0 is the highest priority under the current rotation, 7 the lowest.
+    priorityRank(line) {
+        return (line - this.lowestPriority - 1) & 7;
+    }
+
+    hasInterrupt() {
+        return this.pendingLine() !== -1;
+    }
+
+    // Interrupt acknowledge: moves the serviced request from IRR to ISR and returns its line. With no
+    // request left (e.g. it went away before INTA) the 8259A answers with a spurious IR7 and sets no ISR bit.
+    acknowledge() {
+        const line = this.pendingLine();
+        if (line === -1) return 7;
+
+        const bit = 1 << line;
+        // A level-triggered line still asserted keeps its request pending for after the EOI
+        if (!this.isLevelTriggered(line) || (this.lines & bit) === 0) this.irr &= ~bit;
+        if (this.autoEoi) {
+            if (this.rotateOnAutoEoi) this.lowestPriority = line;
+        } else {
+            this.isr |= bit;
+        }
+        return line;
+    }
+
+    // Even port (A0=0): ICW1, OCW2 or OCW3
+    writeCommand(value) {
+        if (value & 0x10) { // ICW1
+            const lines = this.lines;
+            this.reset();
+            this.imr = 0; // The initialization sequence clears the mask register
+            this.lines = lines;
+            this.levelTriggered = (value & 0x08) !== 0;
+            this.singleMode = (value & 0x02) !== 0;
+            this.icw4Needed = (value & 0x01) !== 0;
+            this.initStep = 2;
+            return;
+        }
+
+        if (value & 0x08) { // OCW3
+            if (value & 0x02) this.readIsr = (value & 0x01) !== 0;
+            this.pollPending = (value & 0x04) !== 0;
+            if (value & 0x40) this.specialMask = (value & 0x20) !== 0;
+            return;
+        }
+
+        // OCW2: R, SL, EOI in bits 7-5, level in bits 2-0
+        const level = value & 0x07;
+        switch (value >> 5) {
+            case 0b001: // Non-specific EOI
+            case 0b101: { // Rotate on non-specific EOI
+                const line = this.highestPriority(this.isr);
+                if (line === -1) break;
+                this.isr &= ~(1 << line);
+                if (value & 0x80) this.lowestPriority = line;
+                break;
+            }
+            case 0b011: // Specific EOI
+                this.isr &= ~(1 << level);
+                break;
+            case 0b111: // Rotate on specific EOI
+                this.isr &= ~(1 << level);
+                this.lowestPriority = level;
+                break;
+            case 0b110: // Set priority
+                this.lowestPriority = level;
+                break;
+            case 0b100: // Set rotate in automatic EOI mode
+                this.rotateOnAutoEoi = true;
+                break;
+            case 0b000: // Clear rotate in automatic EOI mode
+                this.rotateOnAutoEoi = false;
+                break;
+            // 0b010 is a no-operation
+        }
+    }
+
+    // Odd port (A0=1): ICW2-ICW4 during initialization, OCW1 afterwards
+    writeData(value) {
+        const initializing = this.initStep !== 0;
+        switch (this.initStep) {
+            case 2:
+                this.vectorBase = value & 0xF8;
+                this.initStep = !this.singleMode ? 3 : (this.icw4Needed ? 4 : 0);
+                break;
+            case 3:
+                this.cascade = value;
+                this.initStep = this.icw4Needed ? 4 : 0;
+                break;
+            case 4:
+                // Only 8086 mode (uPM=1) is supported; buffered and special fully nested modes are ignored
+                this.autoEoi = (value & 0x02) !== 0;
+                this.initStep = 0;
+                break;
+            default:
+                this.imr = value;
+        }
+        if (initializing && this.initStep === 0) log(`${this.name}: vector base 0x${this.vectorBase.toString(16)}, IMR 0x${this.imr.toString(16)}`);
+    }
+
+    readCommand() {
+        return this.readIsr ? this.isr : this.irr;
+    }
+
+    readData() {
+        return this.imr;
+    }
+}
+
+// The PC/AT master/slave 8259A pair: the master at ports 0x20/0x21 handles IRQ 0-7 and the slave at
+// 0xA0/0xA1 handles IRQ 8-15, cascaded through the master's IR2. Ports 0x4D0/0x4D1 are the edge/level
+// control registers (ELCR) selecting level triggering per IRQ.
+export class PIC8259Pair extends Device {
+    static PORTS = [0x20, 0x21, 0xA0, 0xA1, 0x4D0, 0x4D1];
+    static CASCADE_IRQ = 2;
+
+    constructor() {
+        super("PIC 8259A");
+        this.master = new PIC8259("PIC 8259A master");
+        this.slave = new PIC8259("PIC 8259A slave");
+        this.master.slaveLines = 1 << PIC8259Pair.CASCADE_IRQ;
+    }
+
+    reset() {
+        this.master.reset();
+        this.slave.reset();
+        this.updateCascade();
+    }
+
+    // Drives IRQ line `irq` (0-15) to `level`.
+    setIrq(irq, level) {
+        if (irq < 8) {
+            this.master.setIrq(irq, level);
+        } else {
+            this.slave.setIrq(irq - 8, level);
+            this.updateCascade();
+        }
+    }
+
+    // Raises and lowers an edge-triggered IRQ line, latching a single request.
+    pulseIrq(irq) {
+        this.setIrq(irq, true);
+        this.setIrq(irq, false);
+    }
+
+    // The slave's INT output drives the master's IR2.
+    updateCascade() {
+        this.master.setIrq(PIC8259Pair.CASCADE_IRQ, this.slave.hasInterrupt());
+    }
+
+    hasInterrupt() {
+        return this.master.hasInterrupt();
+    }
+
+    // CPU interrupt acknowledge: the master resolves priority and, for its cascade line, lets the slave
+    // supply the vector.
+    acknowledge() {
+        const line = this.master.acknowledge();
+        let vector;
+        if (line === PIC8259Pair.CASCADE_IRQ && !this.master.singleMode) {
+            vector = this.slave.vectorBase | this.slave.acknowledge();
+        } else {
+            vector = this.master.vectorBase | line;
+        }
+        this.updateCascade();
+        return vector;
+    }
+
+    // OCW3 poll: acknowledges the highest priority request without a CPU interrupt cycle and returns
+    // 0x80 | line, or 0 when nothing is pending.
+    poll(pic) {
+        pic.pollPending = false;
+        if (!pic.hasInterrupt()) return 0;
+        const line = pic.acknowledge();
+        this.updateCascade();
+        return 0x80 | line;
+    }
+
+    portIn(port, size) {
+        switch (port) {
+            case 0x20: return this.master.pollPending ? this.poll(this.master) : this.master.readCommand();
+            case 0x21: return this.master.readData();
+            case 0xA0: return this.slave.pollPending ? this.poll(this.slave) : this.slave.readCommand();
+            case 0xA1: return this.slave.readData();
+            case 0x4D0: return this.master.elcr;
+            case 0x4D1: return this.slave.elcr;
+        }
+        return 0;
+    }
+
+    portOut(port, value, size) {
+        value &= 0xFF;
+        switch (port) {
+            case 0x20: this.master.writeCommand(value); break;
+            case 0x21: this.master.writeData(value); break;
+            case 0xA0: this.slave.writeCommand(value); break;
+            case 0xA1: this.slave.writeData(value); break;
+            // IRQ 0-2 and 8, 13 are always edge-triggered on a PC
+            case 0x4D0: this.master.elcr = value & 0xF8; break;
+            case 0x4D1: this.slave.elcr = value & 0xDE; break;
+        }
+        this.updateCascade();
+    }
+}
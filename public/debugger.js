@@ -26,6 +26,8 @@ export class Debugger {
         this.prevMemory = new Uint8Array(cpu.memory.buffer.byteLength);
 
         this.brkPoints = new Set();
+
+        cpu.attachDebugger(this);
     }
 
     get memViewOffset() { return this._memViewOffset }
@@ -312,7 +314,7 @@ export class Debugger {
         leftArea.appendChild(modeText);
 
         this.modeText = document.createElement("span");
-        this.modeText.textContent = this.cpu.mode;
+        this.modeText.textContent = `${this.cpu.mode} (CPL ${this.cpu.getCPL()})`;
         this.modeText.style.color = "white";
         leftArea.appendChild(this.modeText);
 
@@ -432,7 +434,7 @@ export class Debugger {
             label.style.color = "#666";
             label.style.whiteSpace = "pre";
             const v = document.createElement("span");
-            v.textContent = curr ? "1" : "0";
+            v.textContent = String(curr); // IOPL is a 2-bit field, every other flag is 0 or 1
             v.style.color = "white";
 
             if (prev !== curr) {
@@ -660,7 +662,7 @@ export class Debugger {
         this.renderMemory(this.memViewOffset, this.memViewSize);
 
         this.ripText.textContent = `0x${this.cpu.rip.toString(16).padStart(8, '0')}`;
-        this.modeText.textContent = this.cpu.mode;
+        this.modeText.textContent = `${this.cpu.mode} (CPL ${this.cpu.getCPL()})`;
 
         // Stop at breakpoint
         if (this.brkPoints.has(this.cpu.rip)) {
@@ -670,6 +672,13 @@ export class Debugger {
         await this.waitForStep();
     }
 
+    // Called by the CPU when the guest executes INT3.
+    onBreakpoint(address) {
+        if (!this.didInit) return;
+        this.loggerHook(`INT3 breakpoint at 0x${address.toString(16)}`);
+        this.state = "stopped";
+    }
+
     waitForStep() {
         return new Promise(resolve => {
             const poll = () => {
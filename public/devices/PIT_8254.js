@@ -1,8 +1,8 @@
 // /public/devices/PIT_8254.js
 "use strict";
 
-if (!(window?.config && window?.EmCPU && window?.cpu)) throw new Error("Missing config or EmCPU or an active CPU");
-const { cpu, config, EmCPU: { Device, log } } = window;
+if (!(window?.config && window?.EmCPU && window?.cpu && window?.pic)) throw new Error("Missing config or EmCPU or an active CPU or PIC");
+const { cpu, pic, config, EmCPU: { Device, log } } = window;
 
 const PIT_FREQUENCY = 1193182; // The PIT's base clock frequency in Hz
 
@@ -43,8 +43,8 @@ class PIT_8254 extends Device {
         log(`PIT: Starting timer. IRQ 0 will fire every ${intervalMs.toFixed(2)}ms.`);
 
         this.timerId = setInterval(() => {
-            // The PIT is wired to IRQ 0, which is mapped to interrupt #32.
-            cpu.raiseInterrupt(32);
+            // Counter 0's output is wired to IRQ 0; the guest's PIC programming decides the vector.
+            pic.pulseIrq(0);
         }, intervalMs);
     }
 }
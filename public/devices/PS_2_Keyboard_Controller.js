@@ -1,7 +1,7 @@
 "use strict";
 
-if (!(window?.config && window?.EmCPU && window?.cpu)) throw new Error("Missing config or EmCPU or an active CPU");
-const { cpu, config, EmCPU: { Device } } = window;
+if (!(window?.config && window?.EmCPU && window?.cpu && window?.pic)) throw new Error("Missing config or EmCPU or an active CPU or PIC");
+const { cpu, pic, config, EmCPU: { Device } } = window;
 
 // Device implementation
 class PS_2_Keyboard_Controller extends Device {
@@ -14,6 +14,7 @@ class PS_2_Keyboard_Controller extends Device {
         document.addEventListener('keydown', (ev) => {
             this.data = ev.key.charCodeAt(0);
             this.status = 1;
+            pic.pulseIrq(1); // Output buffer full
         });
     }
 
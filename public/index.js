@@ -22,16 +22,35 @@ const io = new EmCPU.IOManager();
 const cpu = new EmCPU.CPU(memory, io);
 window.cpu = cpu;
 
+// --- Interrupt Controller ---
+// Devices raise their IRQ lines on the PIC, which supplies the vector when the CPU acknowledges the interrupt
+const pic = new EmCPU.PIC8259Pair();
+io.registerDevice(EmCPU.PIC8259Pair.PORTS, pic);
+cpu.attachInterruptController(pic);
+window.pic = pic;
+
 // --- Devices ---
 await import("./devices/COM1_Serial_Port.js");
 await import("./devices/PS_2_Keyboard_Controller.js");
 // await import("./devices/PIT_8254.js");
 await import("./devices/VGA_Text_Mode.js");
 
-// --- Paging + Bootsector ---
-cpu.cr3 = EmCPU.CPU.setupIdentityPaging(memory, 0n, 0n, 0x200000n, 0x200000n);
-memory.load(0x7C00, bootsector);
-cpu.rip = 0x7C00n;
+// --- Paging + GDT + Bootsector ---
+// There is no firmware at the reset vector, so after a reset the host repeats this setup and restarts the boot sector.
+function loadBootSector() {
+    cpu.cr3 = EmCPU.CPU.setupIdentityPaging(memory, 0n, 0n, 0x200000n, 0x200000n);
+    cpu.gdtr = EmCPU.CPU.setupFlatGDT(memory, 0x800n);
+    memory.load(0x7C00, bootsector);
+    cpu.loadSegmentRegister('cs', 0n);
+    cpu.rip = 0x7C00n;
+}
+loadBootSector();
+
+cpu.addResetListener((event) => {
+    console.warn(`Machine reset (${event.reason}: ${event.message})`);
+    pic.reset();
+    loadBootSector();
+});
 
 // --- Debugger ---
 const dbgr = new Debugger(cpu);
@@ -58,6 +77,7 @@ function printFinalState(cpu) {
     console.log("CR4:", hex(cpu.cr4));
     console.log("EFER:", hex(cpu.efer));
     console.log("Flags:", cpu.flags);
+    console.log("TLB:", cpu.getTlbStats());
 }
 
 // --- Main Emulation Loop ---